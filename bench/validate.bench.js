@@ -0,0 +1,107 @@
+/**
+ * Compare validate (schema analysis on the first call with a schema) with compile
+ * (analysis done once) and with the validate of the 1.0.5 release (analysis on each call)
+ * on flat, nested and large array inputs.
+ * Run with `npm run bench`
+ */
+const { validate: releasedValidate } = require('validate-data-tree-released');
+const { version: releasedVersion } = require('validate-data-tree-released/package.json');
+const { compile, validate } = require('../src/validate');
+
+const flatSchema = {
+  username: { type: 'string', allowNull: false, validate: { len: [3, 50] } },
+  email: { type: 'string', allowNull: false, validate: { isEmail: true } },
+  age: { type: 'integer', allowNull: true, validate: { min: 18 } },
+  active: { type: 'boolean' },
+  $: { validate: { allowedKeys: ['username', 'email', 'age', 'active'] } },
+};
+
+const flatInput = {
+  username: 'cyppan',
+  email: 'cyppan@email.com',
+  age: 33,
+  active: true,
+};
+
+const nestedSchema = {
+  ...flatSchema,
+  settings: {
+    type: 'object',
+    schema: {
+      locale: { type: 'string', validate: { isIn: [['fr', 'en']] } },
+      notifications: {
+        type: 'object',
+        schema: {
+          email: { type: 'boolean' },
+          sms: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  roles: {
+    type: 'array',
+    schema: {
+      name: { type: 'string', validate: { matches: '^[A-Z]+$' } },
+      until: { allowNull: true, validate: { isDate: true } },
+      $: { validate: { allowedKeys: ['name', 'until'] } },
+    },
+  },
+  $: { validate: { allowedKeys: ['username', 'email', 'age', 'active', 'settings', 'roles'] } },
+};
+
+const nestedInput = {
+  ...flatInput,
+  settings: { locale: 'fr', notifications: { email: true, sms: false } },
+  roles: [{ name: 'ADMIN', until: '2019-12-05T16:42:40.069Z' }, { name: 'USER' }],
+};
+
+const largeArraySchema = {
+  items: {
+    type: 'array',
+    schema: {
+      id: { type: 'integer', allowNull: false },
+      label: { type: 'string', validate: { len: [1, 20] } },
+      price: { type: 'float', validate: { min: 0 } },
+    },
+  },
+};
+
+const largeArrayInput = {
+  items: Array.from({ length: 1000 }, (v, i) => ({ id: i, label: `item ${i}`, price: i / 10 })),
+};
+
+/**
+ * Run fn by batches (reading the clock on each call would be measured too)
+ * for at least minDuration ms, returns the number of calls per second
+ */
+const measure = (fn, minDuration = 1000, batchSize = 20) => {
+  // warm up
+  for (let i = 0; i < 100; i += 1) fn();
+  let iterations = 0;
+  let elapsed = 0;
+  const start = Date.now();
+  while (elapsed < minDuration) {
+    for (let i = 0; i < batchSize; i += 1) fn();
+    iterations += batchSize;
+    elapsed = Date.now() - start;
+  }
+  return (iterations / elapsed) * 1e3;
+};
+
+const format = opsPerSec => `${Math.round(opsPerSec).toLocaleString('en')} ops/sec`.padStart(16);
+
+[
+  ['flat', flatSchema, flatInput],
+  ['nested', nestedSchema, nestedInput],
+  ['large array (1000 elements)', largeArraySchema, largeArrayInput],
+].forEach(([name, schema, input]) => {
+  const compiled = compile(schema);
+  const releasedOps = measure(() => releasedValidate(input, schema));
+  const validateOps = measure(() => validate(input, schema));
+  const compiledOps = measure(() => compiled(input));
+  const ratio = ops => `(x${(ops / releasedOps).toFixed(1)})`;
+  console.log(name);
+  console.log(`  validate ${releasedVersion.padEnd(6)} ${format(releasedOps)}`);
+  console.log(`  validate        ${format(validateOps)} ${ratio(validateOps)}`);
+  console.log(`  compile         ${format(compiledOps)} ${ratio(compiledOps)}`);
+});
@@ -0,0 +1,327 @@
+const { isPlainObject } = require('lodash');
+const { unknownKeysModes } = require('./normalize');
+const { arrayTypes, objectTypes, recordTypes } = require('./types');
+
+const nestedTypes = [...objectTypes, ...arrayTypes];
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+/**
+ * The options of a field schema
+ */
+const fieldOptions = [
+  'type', 'allowNull', 'validate', 'schema', 'messages', 'defaultValue', 'unknownKeys',
+  'anyOf', 'oneOf', 'discriminator', 'when', 'values', '$ref', 'keys', 'severity', 'sanitize',
+];
+
+/**
+ * The options which can't be set by the `then` / `otherwise` rules of a `when` condition:
+ * the nested fields, the normalization and the references aren't conditional
+ */
+const unconditionalOptions = [
+  'schema', 'defaultValue', 'sanitize', 'unknownKeys', 'keys', 'values', '$ref', 'when',
+];
+
+/**
+ * The severity levels of the errors (see ValidationErrorItem.Severities)
+ */
+const severities = ['error', 'warning', 'info'];
+
+/**
+ * Thrown by validate in development mode (see checkSchema),
+ * `errors` being the list of `{ path, keyword, message }`
+ */
+class SchemaErrors extends Error {
+  constructor(errors) {
+    super(`invalid schema: ${errors.map(e => `${e.path}: ${e.message}`).join(', ')}`);
+    this.name = 'SchemaErrors';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The Levenshtein distance between two strings, used to suggest the name
+ * meant by a typo ("isEmial" => "isEmail")
+ */
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const suggest = (name, names) => {
+  const lower = name.toLowerCase();
+  const [best] = names
+    .filter(n => n !== name)
+    .map(n => [n, n.toLowerCase() === lower ? 0 : distance(lower, n.toLowerCase())])
+    .filter(([, d]) => d <= 2)
+    .sort(([, d1], [, d2]) => d1 - d2);
+  return best ? ` (did you mean ${best[0]}?)` : '';
+};
+
+const isNumber = o => typeof o === 'number' && !Number.isNaN(o);
+
+const isPattern = o => typeof o === 'string' || o instanceof RegExp;
+
+/**
+ * `len: [3, 50]`, `len: [{ min: 3, max: 50 }]` or `len: 3`
+ */
+const isBounds = (args) => {
+  const list = Array.isArray(args) ? args : [args];
+  if (list.length === 1 && isPlainObject(list[0])) {
+    return Object.values(list[0]).every(isNumber);
+  }
+  return list.length >= 1 && list.length <= 2 && list.every(o => o == null || isNumber(o));
+};
+
+const firstArg = args => (Array.isArray(args) ? args[0] : args);
+const lengthArgs = [isBounds, 'a minimum and an optional maximum length, like [3, 50]'];
+const listArgs = [args => Array.isArray(args) && Array.isArray(args[0]), 'a list, like [["a", "b"]]'];
+const numberArgs = [args => isNumber(firstArg(args)), 'a number'];
+const patternArgs = [args => isPattern(firstArg(args)), 'a pattern, like "^[a-z]+$"'];
+
+/**
+ * The expected arguments of validators whose wrong arguments fail at runtime
+ * or silently, with a description used in the error message
+ */
+const validatorArgs = {
+  len: lengthArgs,
+  isLength: lengthArgs,
+  isByteLength: lengthArgs,
+  size: [isBounds, 'a minimum and an optional maximum size, like [1, 10]'],
+  isIn: listArgs,
+  notIn: listArgs,
+  min: numberArgs,
+  max: numberArgs,
+  matches: patternArgs,
+  is: patternArgs,
+  regex: patternArgs,
+  not: patternArgs,
+  notRegex: patternArgs,
+  allowedKeys: [
+    args => Array.isArray(args) && args.every(k => typeof k === 'string'),
+    'a list of keys',
+  ],
+};
+
+const isKnownValidator = (validators, k) => typeof validators[k] === 'function'
+  && !has(Object.prototype, k);
+
+let checkFields;
+
+/**
+ * Check a field schema, pushing the errors found to `errors`.
+ * `partial` is for the `then` / `otherwise` rules of a `when` condition
+ * which complete a field schema
+ */
+const checkField = (fieldSchema, path, registry, errors, partial = false) => {
+  const { definitions = {} } = registry;
+  const error = (keyword, message, keywordPath = [keyword]) => errors.push({
+    path: [...path, ...keywordPath].join('.'),
+    keyword,
+    message,
+  });
+  // a likely mistake in a valid schema
+  const hint = (keyword, message) => errors.push({
+    path: [...path, keyword].join('.'),
+    keyword,
+    message,
+    hint: true,
+  });
+  if (!isPlainObject(fieldSchema)) {
+    error('schema', 'a field schema must be an object', []);
+    return;
+  }
+  Object.keys(fieldSchema).filter(k => !fieldOptions.includes(k)).forEach((k) => {
+    const nested = isPlainObject(fieldSchema[k]) && nestedTypes.includes(fieldSchema.type);
+    error(k, nested
+      ? `unknown option ${k}, the fields of an ${fieldSchema.type} go in its schema`
+      : `unknown option ${k}${suggest(k, fieldOptions)}`);
+  });
+  const {
+    type,
+    allowNull,
+    validate,
+    schema,
+    messages,
+    unknownKeys,
+    severity,
+    sanitize,
+    discriminator,
+    when,
+    $ref,
+  } = fieldSchema;
+  if ($ref != null && (typeof $ref !== 'string' || !has(definitions, $ref))) {
+    error('$ref', `unknown definition ${$ref}${suggest(String($ref), Object.keys(definitions))}`);
+  }
+  if (type != null) {
+    const typeNames = Array.isArray(type) ? type : [type];
+    typeNames.forEach((t) => {
+      if (typeof t !== 'string' || !has(registry.types, t)) {
+        error('type', `unknown type ${t}${suggest(String(t), Object.keys(registry.types))}`);
+      }
+    });
+    if (type === 'enum' && !Array.isArray(fieldSchema.values)) {
+      error('values', 'an enum must have a list of values');
+    }
+  }
+  // the field schemas of the keys and values of a record
+  ['keys', 'values'].filter(k => fieldSchema[k] != null && type !== 'enum').forEach((k) => {
+    if (!recordTypes.includes(type) && !partial) {
+      error(k, `${k} needs the record or map type`);
+    }
+    checkField(fieldSchema[k], [...path, k], registry, errors);
+  });
+  if (allowNull != null && typeof allowNull !== 'boolean') {
+    error('allowNull', 'allowNull must be a boolean');
+  }
+  if (unknownKeys != null && !unknownKeysModes.includes(unknownKeys)) {
+    error('unknownKeys', `unknownKeys must be one of ${unknownKeysModes.join(', ')}`);
+  }
+  if (messages != null && !isPlainObject(messages)) {
+    error('messages', 'messages must be an object of messages per validator key');
+  }
+  if (severity != null) {
+    const levels = isPlainObject(severity) ? Object.values(severity) : [severity];
+    if (!levels.every(level => severities.includes(level))) {
+      error('severity', `severity must be one of ${severities.join(', ')}`
+        + ' or an object of them per validator key');
+    }
+  }
+  if (sanitize != null) {
+    (Array.isArray(sanitize) ? sanitize : [sanitize]).forEach((step, i) => {
+      const [name] = Array.isArray(step) ? step : [step];
+      if (typeof step === 'function') return;
+      if (typeof name !== 'string') {
+        error('sanitize', 'a sanitizer must be a name, a [name, ...args] list or a function');
+      } else if (!has(registry.sanitizers, name)) {
+        error(
+          'sanitize',
+          `unknown sanitizer ${name}${suggest(name, Object.keys(registry.sanitizers))}`,
+          Array.isArray(sanitize) ? ['sanitize', i] : ['sanitize'],
+        );
+      }
+    });
+  }
+  if (validate != null && !isPlainObject(validate)) {
+    error('validate', 'validate must be an object of validators');
+  } else if (validate) {
+    Object.entries(validate).forEach(([k, args]) => {
+      if (!isKnownValidator(registry.validators, k)) {
+        if (typeof args !== 'function') {
+          error(
+            'validate',
+            `unknown validator ${k}${suggest(k, registry.validatorNames())}`
+              + ', custom validators must be functions',
+            ['validate', k],
+          );
+        }
+      } else if (validatorArgs[k] && args !== true && !validatorArgs[k][0](args)) {
+        error('validate', `${k} expects ${validatorArgs[k][1]}`, ['validate', k]);
+      }
+    });
+  }
+  if (type === 'object' && schema == null && !partial) {
+    hint('schema', 'an object without schema accepts any fields, its fields go in its schema');
+  }
+  if (schema != null) {
+    if (!nestedTypes.includes(type) && !partial) {
+      error('schema', `a nested schema needs one of the ${nestedTypes.join(', ')} types`);
+    }
+    checkFields(schema, [...path, 'schema'], registry, errors);
+  }
+  ['anyOf', 'oneOf'].filter(k => fieldSchema[k] != null).forEach((k) => {
+    const branches = fieldSchema[k];
+    if (discriminator ? !isPlainObject(branches) : !Array.isArray(branches)) {
+      error(k, discriminator
+        ? `${k} must be an object of schemas per ${discriminator} value`
+        : `${k} must be a list of schemas`);
+      return;
+    }
+    Object.entries(branches).forEach(([branchKey, branch]) => {
+      checkField(branch, [...path, k, branchKey], registry, errors);
+    });
+  });
+  if (discriminator != null && !(fieldSchema.anyOf || fieldSchema.oneOf)) {
+    error('discriminator', 'a discriminator needs oneOf (or anyOf) schemas');
+  }
+  if (when != null) {
+    if (!isPlainObject(when) || typeof when.path !== 'string') {
+      error('when', 'when must be an object like { path, is, then, otherwise }');
+      return;
+    }
+    Object.keys(when)
+      .filter(k => !['path', 'is', 'then', 'otherwise'].includes(k))
+      .forEach(k => error('when', `unknown option ${k}`, ['when', k]));
+    ['then', 'otherwise'].filter(k => when[k] != null).forEach((k) => {
+      if (isPlainObject(when[k])) {
+        Object.keys(when[k]).filter(option => unconditionalOptions.includes(option))
+          .forEach(option => error('when', `${option} can't depend on a when condition`, ['when', k, option]));
+      }
+      checkField(when[k], [...path, 'when', k], registry, errors, true);
+    });
+  }
+};
+
+/**
+ * Check a (non flat) schema, each key being a field schema
+ */
+checkFields = (schema, path, registry, errors) => {
+  if (!isPlainObject(schema)) {
+    errors.push({
+      path: path.join('.') || '$',
+      keyword: 'schema',
+      message: 'a schema must be an object',
+    });
+    return;
+  }
+  Object.entries(schema).forEach(([field, fieldSchema]) => {
+    checkField(fieldSchema, [...path, field], registry, errors);
+  });
+};
+
+/**
+ * Check a schema against the schema of schemas: unknown field options, unknown types,
+ * unknown validators which aren't functions, wrong validator arguments, unknown `$ref`...
+ * `registry` gives the known validators and types (see createRegistry in validate.js)
+ * and `definitions` the field schemas `$ref` can reference, which are checked too.
+ * Returns the list of errors as `{ path, keyword, message }`, `path` being the path
+ * in the schema (ex: 'roles.schema.name.validate.isEmial', 'definitions.Comment.type'
+ * for a definition), empty when the schema is valid.
+ * The likely mistakes which don't make the schema invalid (like an object without schema)
+ * are in the list too, with `hint: true`
+ */
+const checkSchema = (schema, registry, definitions = {}) => {
+  const errors = [];
+  const schemaRegistry = {
+    ...registry,
+    definitions: isPlainObject(definitions) ? definitions : {},
+  };
+  checkFields(schema, [], schemaRegistry, errors);
+  if (!isPlainObject(definitions)) {
+    errors.push({
+      path: 'definitions',
+      keyword: 'definitions',
+      message: 'definitions must be an object of field schemas',
+    });
+  } else {
+    checkFields(definitions, ['definitions'], schemaRegistry, errors);
+  }
+  return errors;
+};
+
+module.exports = {
+  SchemaErrors,
+  checkSchema,
+  unconditionalOptions,
+};
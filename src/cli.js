@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compile } = require('./validate');
+
+const usage = `Usage: validate-data-tree --schema <module> [options] <files...>
+
+Validate JSON, YAML or NDJSON files (a record per line) against the schema
+exported by a JS or JSON module.
+
+Options:
+  -s, --schema <module>      the module exporting the schema (required)
+  --export <name>            the export of the module holding the schema (the module itself by default)
+  --definitions <name>       the export of the module holding the definitions of the $ref fields
+  -f, --format <text|json>   the output format, text by default
+  --type <json|yaml|ndjson>  the type of the files, found from their extension by default
+  --coerce                   convert the values to their field type before validating them
+  --unknown-keys <mode>      allow (default), reject or strip the keys missing from the schema
+  --collect-all              report every failing validator of a field
+  --locale <en|fr>           the language of the messages
+  -h, --help                 show this help
+
+Exits with 1 when a file is invalid or can't be read, 2 on a usage error.`;
+
+/**
+ * A wrong command line, reported with the usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const formats = ['text', 'json'];
+
+const fileTypes = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+};
+
+const flagOptions = {
+  '--coerce': 'coerce',
+  '--collect-all': 'collectAll',
+  '-h': 'help',
+  '--help': 'help',
+};
+
+const valueOptions = {
+  '-s': 'schema',
+  '--schema': 'schema',
+  '--export': 'exportName',
+  '--definitions': 'definitions',
+  '-f': 'format',
+  '--format': 'format',
+  '--type': 'type',
+  '--unknown-keys': 'unknownKeys',
+  '--locale': 'locale',
+};
+
+/**
+ * Parse the command line arguments (without the node and script ones),
+ * options can be given as `--format json` or `--format=json`
+ */
+const parseArgs = (argv) => {
+  const args = { format: 'text', files: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const [arg, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/) : [argv[i]];
+    if (flagOptions[arg]) {
+      args[flagOptions[arg]] = true;
+    } else if (valueOptions[arg]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[i + 1];
+      if (value === undefined) throw new UsageError(`missing value for ${arg}`);
+      if (inlineValue === undefined) i += 1;
+      args[valueOptions[arg]] = value;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`unknown option ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  if (args.help) return args;
+  if (!args.schema) throw new UsageError('missing the --schema module');
+  if (!args.files.length) throw new UsageError('missing the files to validate');
+  if (!formats.includes(args.format)) {
+    throw new UsageError(`the format must be one of ${formats.join(', ')}`);
+  }
+  const types = Object.values(fileTypes);
+  if (args.type && !types.includes(args.type)) {
+    throw new UsageError(`the type must be one of ${types.filter((t, i) => types.indexOf(t) === i).join(', ')}`);
+  }
+  return args;
+};
+
+/**
+ * Load the schema (and its definitions) exported by a JS or JSON module
+ */
+const loadSchema = ({ schema: modulePath, exportName, definitions: definitionsName }, cwd) => {
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const exported = require(path.resolve(cwd, modulePath));
+  const named = name => (exported ? exported[name] : undefined);
+  // the default export of an ES module compiled to CommonJS, or the module itself
+  const schema = exportName
+    ? named(exportName)
+    : (named('__esModule') && named('default')) || exported;
+  if (!schema || typeof schema !== 'object') {
+    throw new UsageError(`${modulePath} doesn't export a schema${exportName ? ` as ${exportName}` : ''}`);
+  }
+  const definitions = definitionsName ? named(definitionsName) : undefined;
+  if (definitionsName && !definitions) {
+    throw new UsageError(`${modulePath} doesn't export definitions as ${definitionsName}`);
+  }
+  return { schema, definitions };
+};
+
+/**
+ * The line of a JSON syntax error, from the position given by its message
+ */
+const jsonErrorLine = (content, e) => {
+  const position = /position (\d+)/.exec(e.message);
+  return position ? content.slice(0, Number(position[1])).split('\n').length : null;
+};
+
+/**
+ * The records of a file as `{ line, record, value }`, or `{ line, record, parseError }`
+ * for the ones which can't be parsed: the value of a JSON file, each document of a YAML file
+ * (`record` being its number when there are several of them), each line of an NDJSON file
+ */
+const readRecords = (content, type) => {
+  if (type === 'ndjson') {
+    return content.split(/\r?\n/)
+      .map((text, i) => [text, i + 1])
+      .filter(([text]) => text.trim())
+      .map(([text, line]) => {
+        try {
+          return { line, record: null, value: JSON.parse(text) };
+        } catch (e) {
+          return { line, record: null, parseError: `invalid JSON: ${e.message}` };
+        }
+      });
+  }
+  if (type === 'yaml') {
+    try {
+      const documents = yaml.loadAll(content);
+      return documents.map((value, i) => ({
+        line: null,
+        record: documents.length > 1 ? i + 1 : null,
+        value,
+      }));
+    } catch (e) {
+      const line = e.mark ? e.mark.line + 1 : null;
+      return [{ line, record: null, parseError: `invalid YAML: ${e.reason || e.message}` }];
+    }
+  }
+  try {
+    return [{ line: null, record: null, value: JSON.parse(content) }];
+  } catch (e) {
+    return [{ line: jsonErrorLine(content, e), record: null, parseError: `invalid JSON: ${e.message}` }];
+  }
+};
+
+/**
+ * An error which isn't a ValidationErrorItem: the file can't be read or parsed,
+ * or a record isn't an object
+ */
+const fileError = message => ({
+  message,
+  type: 'file error',
+  path: null,
+  severity: 'error',
+  validatorKey: null,
+});
+
+/**
+ * Validate the records of a file, resolving with the errors and warnings
+ * as `{ file, line, record, error }`
+ */
+const validateFile = (file, validateRecord, { type, cwd }) => {
+  const fileType = type || fileTypes[path.extname(file).toLowerCase()];
+  const located = ({ line = null, record = null }) => error => ({
+    file,
+    line,
+    record,
+    error,
+  });
+  if (!fileType) {
+    return Promise.resolve([located({})(fileError('unknown file type, use the --type option'))]);
+  }
+  let content;
+  try {
+    content = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  } catch (e) {
+    return Promise.resolve([located({})(fileError(`can't read the file: ${e.message}`))]);
+  }
+  return Promise.all(readRecords(content, fileType).map((entry) => {
+    const at = located(entry);
+    if (entry.parseError) return [at(fileError(entry.parseError))];
+    if (!entry.value || typeof entry.value !== 'object') {
+      return [at(fileError('the record must be an object or an array'))];
+    }
+    return validateRecord(entry.value)
+      .then(({ errors, warnings }) => [...errors, ...warnings].map(at));
+  })).then(results => results.reduce((acc, errors) => acc.concat(errors), []));
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * The location of an error, like "users.ndjson:3" or "config.yaml (record 2)"
+ */
+const locationOf = ({ file, line, record }) => `${file}${line ? `:${line}` : ''}${
+  record ? ` (record ${record})` : ''}`;
+
+const formatText = (found, files) => {
+  const lines = found.map(({ error, ...location }) => [
+    `${locationOf(location)}:`,
+    `${error.severity}:`,
+    ...(error.path ? [`${error.path}:`] : []),
+    error.message,
+    ...(error.validatorKey ? [`(${error.validatorKey})`] : []),
+  ].join(' '));
+  const errors = found.filter(({ error }) => error.severity === 'error');
+  const invalidFiles = files.filter(file => errors.some(e => e.file === file));
+  const warnings = found.length - errors.length;
+  const summary = errors.length
+    ? `${plural(errors.length, 'error')} in ${invalidFiles.length} of ${plural(files.length, 'file')}`
+    : `${plural(files.length, 'file')} valid`;
+  return [...lines, `${summary}${warnings ? `, ${plural(warnings, 'warning')}` : ''}`].join('\n');
+};
+
+const formatJson = (found) => {
+  const toJSON = ({ error, ...location }) => ({
+    ...location,
+    ...(typeof error.toJSON === 'function' ? error.toJSON() : error),
+  });
+  const errors = found.filter(({ error }) => error.severity === 'error');
+  return JSON.stringify({
+    valid: errors.length === 0,
+    errors: errors.map(toJSON),
+    warnings: found.filter(({ error }) => error.severity !== 'error').map(toJSON),
+  }, null, 2);
+};
+
+/**
+ * Run the command line (without the node and script arguments),
+ * writing the report to `stdout` and the usage errors to `stderr`.
+ * Resolves with the exit code: 0 when all the files are valid, 1 if not, 2 on a usage error
+ */
+const run = (argv, {
+  cwd = process.cwd(),
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) => Promise.resolve().then(() => {
+  const args = parseArgs(argv);
+  if (args.help) {
+    stdout.write(`${usage}\n`);
+    return 0;
+  }
+  const { schema, definitions } = loadSchema(args, cwd);
+  const validateRecord = compile(schema, {
+    definitions,
+    coerce: args.coerce,
+    unknownKeys: args.unknownKeys,
+    collectAll: args.collectAll,
+    locale: args.locale,
+  }).safeValidateAsync;
+  return args.files.reduce(
+    (previous, file) => previous.then(found => validateFile(file, validateRecord, {
+      type: args.type,
+      cwd,
+    }).then(errors => found.concat(errors))),
+    Promise.resolve([]),
+  ).then((found) => {
+    stdout.write(`${args.format === 'json' ? formatJson(found) : formatText(found, args.files)}\n`);
+    return found.some(({ error }) => error.severity === 'error') ? 1 : 0;
+  });
+}).catch((e) => {
+  stderr.write(`validate-data-tree: ${e.message}\n`);
+  if (e instanceof UsageError) stderr.write(`\n${usage}\n`);
+  return 2;
+});
+
+module.exports = {
+  parseArgs,
+  readRecords,
+  run,
+};
@@ -0,0 +1,81 @@
+const { isPlainObject } = require('lodash');
+const {
+  List,
+  Map: ImmutableMap,
+  Record,
+  Set: ImmutableSet,
+  isImmutable,
+} = require('immutable');
+
+/**
+ * Reading the values to validate, which can be plain objects and arrays
+ * as well as Immutable.js Map, Record, List and Set, or ES Map and Set
+ */
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+/**
+ * An ES Map, an Immutable Map (or OrderedMap) or an Immutable Record
+ */
+const isMap = o => o instanceof Map || ImmutableMap.isMap(o) || Record.isRecord(o);
+
+/**
+ * An ES Set or an Immutable Set (or OrderedSet)
+ */
+const isSet = o => o instanceof Set || ImmutableSet.isSet(o);
+
+const isList = o => List.isList(o);
+
+/**
+ * A collection whose values are read by key: a plain object or a map
+ */
+const isKeyedCollection = o => isPlainObject(o) || isMap(o);
+
+/**
+ * A collection whose values are read by index: an array, a list or a set
+ * (the index of a set element being its position in the iteration order)
+ */
+const isIndexedCollection = o => Array.isArray(o) || isList(o) || isSet(o);
+
+/**
+ * The value at a key of an object, an array or a collection
+ */
+const childOf = (o, key) => {
+  if (o instanceof Map || isImmutable(o)) return o.get(key);
+  return (o !== null && typeof o === 'object' && has(o, key)) ? o[key] : undefined;
+};
+
+/**
+ * The keys of a keyed collection (see isKeyedCollection), or the own keys of another object
+ */
+const keysOf = (o) => {
+  if (isPlainObject(o)) return Object.keys(o);
+  if (Record.isRecord(o)) return o.toSeq().keySeq().toArray();
+  return isMap(o) ? Array.from(o.keys()) : Object.keys(o);
+};
+
+/**
+ * The elements of an indexed collection (see isIndexedCollection) as an array
+ */
+const elementsOf = o => (Array.isArray(o) ? o : Array.from(o));
+
+/**
+ * The number of elements of an array or a collection, undefined for other values
+ */
+const sizeOf = (o) => {
+  if (Array.isArray(o)) return o.length;
+  if (Record.isRecord(o)) return keysOf(o).length;
+  return (isIndexedCollection(o) || isMap(o)) ? o.size : undefined;
+};
+
+module.exports = {
+  childOf,
+  elementsOf,
+  isIndexedCollection,
+  isKeyedCollection,
+  isList,
+  isMap,
+  isSet,
+  keysOf,
+  sizeOf,
+};
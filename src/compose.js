@@ -0,0 +1,235 @@
+const assert = require('assert');
+const { isPlainObject, mapValues } = require('lodash');
+const { arrayTypes, objectTypes } = require('./types');
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+/**
+ * The fields of a path like "settings.locale" or "roles.name"
+ * (a field of the elements of the roles array, "roles.[].name" being the same)
+ */
+const toSegments = path => path.split('.').filter(p => p !== '[]');
+
+/**
+ * The field refined by a key, ex: "settings" for "settings.theme"
+ */
+const headOf = key => key.split('.')[0];
+
+const fieldsOf = schema => Object.keys(schema).filter(k => k !== '$').map(headOf);
+
+const hasNestedSchema = fieldSchema => isPlainObject(fieldSchema)
+  && isPlainObject(fieldSchema.schema)
+  && !fieldSchema.$ref
+  && (objectTypes.includes(fieldSchema.type) || arrayTypes.includes(fieldSchema.type));
+
+const withNestedSchema = (fieldSchema, fn) => ({ ...fieldSchema, schema: fn(fieldSchema.schema) });
+
+const allowedKeysOf = schema => schema.$ && schema.$.validate && schema.$.validate.allowedKeys;
+
+/**
+ * Map the `$` allowedKeys list of a schema with `fn`, when it has one
+ */
+const mapAllowedKeys = (schema, fn) => {
+  if (!Array.isArray(allowedKeysOf(schema))) return schema;
+  const allowedKeys = fn(allowedKeysOf(schema)).filter((k, i, keys) => keys.indexOf(k) === i);
+  return { ...schema, $: { ...schema.$, validate: { ...schema.$.validate, allowedKeys } } };
+};
+
+/**
+ * Whether a path reaches a field, through the nested schemas
+ * or the keys like "settings.theme"
+ */
+const hasPath = (schema, segments) => {
+  const key = segments.join('.');
+  if (Object.keys(schema).some(k => k === key || k.startsWith(`${key}.`))) return true;
+  const [head, ...rest] = segments;
+  return rest.length > 0 && has(schema, head) && hasNestedSchema(schema[head])
+    && hasPath(schema[head].schema, rest);
+};
+
+const assertPaths = (schema, paths) => paths.forEach((path) => {
+  assert(hasPath(schema, toSegments(path)), `no field at path ${path}`);
+});
+
+/**
+ * The rest of the paths by their first field,
+ * ex: ['email', 'settings.locale'] => { email: [''], settings: ['locale'] }
+ */
+const groupPaths = paths => paths.map(toSegments).reduce((groups, [head, ...rest]) => ({
+  ...groups,
+  [head]: [...(groups[head] || []), rest.join('.')],
+}), {});
+
+/**
+ * Whether a key like "theme" of "settings.theme" is under one of the paths
+ */
+const isUnderPaths = (key, paths) => paths.some(path => key === path || key.startsWith(`${path}.`));
+
+const omitPaths = (schema, paths) => {
+  const groups = groupPaths(paths);
+  const result = {};
+  Object.entries(schema).forEach(([key, fieldSchema]) => {
+    const head = headOf(key);
+    const rests = groups[head] || [];
+    if (rests.includes('')) return;
+    if (key !== head) {
+      if (!isUnderPaths(key.slice(head.length + 1), rests)) result[key] = fieldSchema;
+    } else {
+      result[key] = rests.length && hasNestedSchema(fieldSchema)
+        ? withNestedSchema(fieldSchema, s => omitPaths(s, rests))
+        : fieldSchema;
+    }
+  });
+  return mapAllowedKeys(result, keys => keys.filter(k => !(groups[k] || []).includes('')));
+};
+
+const pickPaths = (schema, paths) => {
+  const groups = groupPaths(paths);
+  const result = {};
+  Object.entries(schema).forEach(([key, fieldSchema]) => {
+    const head = headOf(key);
+    const rests = groups[head] || [];
+    if (key === '$' || rests.includes('')) {
+      result[key] = fieldSchema;
+    } else if (key !== head) {
+      if (isUnderPaths(key.slice(head.length + 1), rests)) result[key] = fieldSchema;
+    } else if (rests.length) {
+      result[key] = hasNestedSchema(fieldSchema)
+        ? withNestedSchema(fieldSchema, s => pickPaths(s, rests))
+        : fieldSchema;
+    }
+  });
+  return mapAllowedKeys(result, keys => keys.filter(k => has(groups, k)));
+};
+
+/**
+ * Update the field at a path with `fn`
+ */
+const updateAt = (schema, segments, fn) => {
+  const key = segments.join('.');
+  const [head, ...rest] = segments;
+  if (!has(schema, key) && rest.length && has(schema, head) && hasNestedSchema(schema[head])) {
+    return { ...schema, [head]: withNestedSchema(schema[head], s => updateAt(s, rest, fn)) };
+  }
+  return { ...schema, [key]: fn(schema[key]) };
+};
+
+const setAllowNull = (schema, allowNull, paths) => {
+  if (!paths) {
+    return mapValues(schema, (fieldSchema, key) => (key === '$' ? fieldSchema : { ...fieldSchema, allowNull }));
+  }
+  assertPaths(schema, paths);
+  return paths.reduce((result, path) => updateAt(
+    result,
+    toSegments(path),
+    fieldSchema => ({ ...fieldSchema, allowNull }),
+  ), schema);
+};
+
+/**
+ * The schema without the fields at the given paths
+ * ex: omit(userSchema, ['password', 'settings.secret'])
+ */
+const omit = (schema, paths) => {
+  assertPaths(schema, paths);
+  return omitPaths(schema, paths);
+};
+
+/**
+ * The schema with only the fields at the given paths (and the `$` ones)
+ * ex: pick(userSchema, ['email', 'settings.locale'])
+ */
+const pick = (schema, paths) => {
+  assertPaths(schema, paths);
+  return pickPaths(schema, paths);
+};
+
+/**
+ * The schema with its fields (or the ones at the given paths) nullable and optional
+ */
+const partial = (schema, paths) => setAllowNull(schema, true, paths);
+
+/**
+ * The schema with its fields (or the ones at the given paths) required
+ */
+const required = (schema, paths) => setAllowNull(schema, false, paths);
+
+/**
+ * The schema with all its fields optional, the ones of the nested schemas too
+ */
+const deepPartial = schema => mapValues(schema, (fieldSchema, key) => {
+  if (key === '$') return fieldSchema;
+  const nested = hasNestedSchema(fieldSchema)
+    ? withNestedSchema(fieldSchema, deepPartial)
+    : fieldSchema;
+  return { ...nested, allowNull: true };
+});
+
+/**
+ * Set the field at a path, adding it to the allowedKeys of its schema
+ */
+const setAt = (schema, segments, fieldSchema) => {
+  const key = segments.join('.');
+  const [head, ...rest] = segments;
+  if (!has(schema, key) && rest.length && has(schema, head) && hasNestedSchema(schema[head])) {
+    return { ...schema, [head]: withNestedSchema(schema[head], s => setAt(s, rest, fieldSchema)) };
+  }
+  const result = { ...schema, [key]: fieldSchema };
+  return key === '$' ? result : mapAllowedKeys(result, keys => [...keys, head]);
+};
+
+/**
+ * The schema with the fields given added or replaced, their keys being paths
+ * ex: extend(userSchema, { password: {...}, 'settings.theme': {...} })
+ */
+const extend = (schema, fields) => Object.entries(fields).reduce(
+  (result, [path, fieldSchema]) => setAt(result, toSegments(path), fieldSchema),
+  schema,
+);
+
+let mergeTwo;
+
+/**
+ * The fields in both schemas are merged: the properties of the second one take precedence,
+ * their validators and nested schemas are merged
+ */
+const mergeFields = (a, b) => {
+  const merged = { ...a, ...b };
+  if (isPlainObject(a.validate) && isPlainObject(b.validate)) {
+    merged.validate = { ...a.validate, ...b.validate };
+  }
+  if (hasNestedSchema(a) && hasNestedSchema(b)) {
+    merged.schema = mergeTwo(a.schema, b.schema);
+  }
+  return merged;
+};
+
+mergeTwo = (a, b) => {
+  const merged = { ...a };
+  Object.entries(b).forEach(([key, fieldSchema]) => {
+    merged[key] = has(a, key) ? mergeFields(a[key], fieldSchema) : fieldSchema;
+  });
+  const allowedA = allowedKeysOf(a);
+  const allowedB = allowedKeysOf(b);
+  if (!allowedA && !allowedB) return merged;
+  return mapAllowedKeys(merged, () => [
+    ...(allowedA || fieldsOf(a)),
+    ...(allowedB || fieldsOf(b)),
+  ]);
+};
+
+/**
+ * Deeply merge schemas, the last ones taking precedence
+ * ex: merge(userSchema, { email: { validate: { len: [3, 50] } } })
+ */
+const merge = (...schemas) => schemas.reduce(mergeTwo, {});
+
+module.exports = {
+  deepPartial,
+  extend,
+  merge,
+  omit,
+  partial,
+  pick,
+  required,
+};
@@ -0,0 +1,119 @@
+const { isPlainObject } = require('lodash');
+
+const typesToTs = {
+  string: 'string',
+  text: 'string',
+  uuid: 'string',
+  integer: 'number',
+  bigint: 'number | bigint',
+  float: 'number',
+  double: 'number',
+  decimal: 'number',
+  boolean: 'boolean',
+  date: 'Date',
+  map: 'object',
+  any: 'unknown',
+};
+
+const isIdentifier = k => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(k);
+
+const propertyName = k => (isIdentifier(k) ? k : JSON.stringify(k));
+
+const indent = (depth, text = '') => `${'  '.repeat(depth)}${text}`;
+
+const union = ts => ts.filter((t, i) => ts.indexOf(t) === i).join(' | ') || 'never';
+
+let schemaToTs;
+let fieldToTs;
+
+/**
+ * The TypeScript type of a field value which isn't null,
+ * `depth` being the indentation level of the field
+ */
+const valueToTs = (fieldSchema, depth) => {
+  const {
+    type,
+    schema,
+    values,
+    anyOf,
+    oneOf,
+    $ref,
+  } = fieldSchema;
+  if ($ref) return $ref;
+  if (Array.isArray(type)) {
+    return union(type.map(t => valueToTs({ ...fieldSchema, type: t }, depth)));
+  }
+  if (type === 'enum') {
+    return union((values || []).map(v => JSON.stringify(v)));
+  }
+  if (type === 'object') {
+    return schema ? schemaToTs(schema, depth) : 'object';
+  }
+  if (['array', 'list', 'set'].includes(type)) {
+    const element = schema ? schemaToTs(schema, depth, true) : 'unknown';
+    return type === 'array' ? `Array<${element}>` : `Iterable<${element}>`;
+  }
+  if (type === 'record') {
+    const value = isPlainObject(values) ? fieldToTs(values, depth) : 'unknown';
+    return `{ [key: string]: ${value} }`;
+  }
+  if (type && typesToTs[type]) return typesToTs[type];
+  const branches = anyOf || oneOf;
+  if (!type && branches) {
+    return union(Object.values(branches).map(branch => valueToTs(branch, depth)));
+  }
+  return 'unknown';
+};
+
+/**
+ * The TypeScript type of a field, null unless `allowNull: false`
+ */
+fieldToTs = (fieldSchema, depth) => {
+  const t = valueToTs(fieldSchema, depth);
+  if (fieldSchema.allowNull === false || t === 'unknown') return t;
+  return `${t} | null`;
+};
+
+/**
+ * The TypeScript type of a (non flat) schema: an object type of its fields,
+ * or the type of its `$` value when it has no field (the element of an array when `isElement`).
+ * The keys like "settings.locale" refining nested schemas are skipped
+ */
+schemaToTs = (schema, depth = 0, isElement = false) => {
+  const fields = Object.keys(schema).filter(k => k !== '$' && !k.includes('.'));
+  if (!fields.length) {
+    if (!schema.$) return 'unknown';
+    return isElement ? fieldToTs(schema.$, depth) : valueToTs(schema.$, depth);
+  }
+  const lines = fields.map((field) => {
+    const fieldSchema = schema[field];
+    const optional = fieldSchema.allowNull === false ? '' : '?';
+    const ts = fieldToTs(fieldSchema, depth + 1);
+    return indent(depth + 1, `${propertyName(field)}${optional}: ${ts};`);
+  });
+  return ['{', ...lines, indent(depth, '}')].join('\n');
+};
+
+/**
+ * Generate the TypeScript declaration (a `.d.ts` content) of the values valid against a schema,
+ * for the schemas built at runtime (InferType types the schema literals).
+ * Options:
+ * - `name` of the exported interface ('Schema' by default)
+ * - `definitions` referenced by `$ref` fields (see validate), exported as types too
+ */
+const generateTypes = (schema, { name = 'Schema', definitions = {} } = {}) => {
+  const declaration = (typeName, ts) => ((ts.startsWith('{') && ts.endsWith('}'))
+    ? `export interface ${typeName} ${ts}\n`
+    : `export type ${typeName} = ${ts};\n`);
+  return [
+    ...Object.entries(definitions).map(([definitionName, fieldSchema]) => declaration(
+      definitionName,
+      fieldToTs(fieldSchema, 0),
+    )),
+    declaration(name, schemaToTs(schema)),
+  ].join('\n');
+};
+
+module.exports = {
+  generateTypes,
+};
@@ -0,0 +1,515 @@
+const { isPlainObject } = require('lodash');
+const { arrayTypes, objectTypes, recordTypes } = require('./types');
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+const typesToJson = {
+  string: { type: 'string' },
+  text: { type: 'string' },
+  integer: { type: 'integer' },
+  bigint: { type: 'integer' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  boolean: { type: 'boolean' },
+  object: { type: 'object' },
+  record: { type: 'object' },
+  map: { type: 'object' },
+  array: { type: 'array' },
+  list: { type: 'array' },
+  set: { type: 'array', uniqueItems: true },
+  date: { type: 'string', format: 'date-time' },
+  uuid: { type: 'string', format: 'uuid' },
+  any: {},
+};
+
+const formats = {
+  isEmail: 'email',
+  isURL: 'uri',
+  isUrl: 'uri',
+  isUUID: 'uuid',
+  isIPv4: 'ipv4',
+  isIPv6: 'ipv6',
+  isFQDN: 'hostname',
+  isDate: 'date-time',
+  isISO8601: 'date-time',
+  isRFC3339: 'date-time',
+};
+
+const patterns = {
+  notEmpty: '\\S',
+  isAlpha: '^[A-Za-z]+$',
+  isAlphanumeric: '^[A-Za-z0-9]+$',
+  isNumeric: '^[+-]?[0-9]+$',
+  isInt: '^[-+]?(?:0|[1-9][0-9]*)$',
+  isHexadecimal: '^(?:0[xX])?[0-9a-fA-F]+$',
+  isHexColor: '^#?(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$',
+};
+
+/**
+ * `len: [3, 50]`, `len: [{ min: 3, max: 50 }]` or `len: 3` => { min: 3, max: 50 }
+ */
+const bounds = (args) => {
+  const [first, second] = Array.isArray(args) ? args : [args];
+  if (isPlainObject(first)) return first;
+  return { min: first, max: second };
+};
+
+const boundsKeywords = (minKeyword, maxKeyword) => (args) => {
+  const { min, max } = bounds(args);
+  return {
+    ...(min ? { [minKeyword]: min } : {}),
+    ...(max != null ? { [maxKeyword]: max } : {}),
+  };
+};
+
+/**
+ * `matches: '^[A-Z]+$'`, `matches: ['^[A-Z]+$', 'i']` or `matches: /^[A-Z]+$/`
+ * => the pattern source, null when it has flags (not supported by JSON Schema)
+ */
+const patternOf = (args) => {
+  const [pattern, flags] = Array.isArray(args) ? args : [args];
+  if (pattern instanceof RegExp) return pattern.flags ? null : pattern.source;
+  return flags ? null : pattern;
+};
+
+const firstArg = args => (Array.isArray(args) ? args[0] : args);
+
+/**
+ * { isEmail: 'email' } => { isEmail: () => ({ format: 'email' }) }
+ */
+const constantKeywords = (values, keyword) => Object.keys(values)
+  .reduce((acc, k) => ({ ...acc, [k]: () => ({ [keyword]: values[k] }) }), {});
+
+/**
+ * Validators which can be expressed as JSON Schema keywords,
+ * each returning those keywords (or null when its arguments can't be expressed)
+ */
+const validatorsToJson = {
+  len: boundsKeywords('minLength', 'maxLength'),
+  isLength: boundsKeywords('minLength', 'maxLength'),
+  size: boundsKeywords('minItems', 'maxItems'),
+  min: args => ({ minimum: Number(firstArg(args)) }),
+  max: args => ({ maximum: Number(firstArg(args)) }),
+  isIn: args => ({ enum: firstArg(args) }),
+  notIn: args => ({ not: { enum: firstArg(args) } }),
+  equals: args => ({ const: firstArg(args) }),
+  isString: () => ({ type: 'string' }),
+  matches: (args) => {
+    const pattern = patternOf(args);
+    return pattern == null ? null : { pattern };
+  },
+  not: (args) => {
+    const pattern = patternOf(args);
+    return pattern == null ? null : { not: { pattern } };
+  },
+  ...constantKeywords(formats, 'format'),
+  ...constantKeywords(patterns, 'pattern'),
+};
+validatorsToJson.is = validatorsToJson.matches;
+validatorsToJson.regex = validatorsToJson.matches;
+validatorsToJson.notRegex = validatorsToJson.not;
+
+/**
+ * Add keywords to a JSON schema, the ones already defined
+ * (like two patterns) are moved to an `allOf`
+ */
+const addKeywords = (jsonSchema, keywords) => Object.entries(keywords)
+  .reduce((acc, [k, v]) => {
+    if (!has(acc, k)) return { ...acc, [k]: v };
+    if (k === 'type' && acc.type === v) return acc;
+    return { ...acc, allOf: [...(acc.allOf || []), { [k]: v }] };
+  }, jsonSchema);
+
+let schemaToJson;
+
+const DEFS = '#/$defs/';
+
+/**
+ * The JSON pointer to a definition and back (`~` and `/` are escaped in pointers)
+ */
+const refToJson = name => `${DEFS}${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+const refFromJson = ref => ref.slice(DEFS.length).replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * The JSON schema of a field type, a list of types becoming a list of JSON types
+ */
+const typeToJson = ({ type, values }, path, warnings) => {
+  if (!type) return {};
+  if (type === 'enum') return { enum: values || [] };
+  const jsonTypes = (Array.isArray(type) ? type : [type]).filter((t) => {
+    if (typesToJson[t]) return true;
+    warnings.push({ path, message: `type ${t} can't be expressed` });
+    return false;
+  }).map(t => typesToJson[t]);
+  if (!Array.isArray(type)) return jsonTypes.length ? { ...jsonTypes[0] } : {};
+  if (jsonTypes.some(t => !t.type)) return {};
+  const unique = jsonTypes.map(t => t.type).filter((t, i, ts) => ts.indexOf(t) === i);
+  return unique.length ? { type: unique } : {};
+};
+
+/**
+ * The JSON schema of the `anyOf` / `oneOf` alternatives of a field,
+ * with a `discriminator` each alternative gets a `const` property
+ * for the discriminator key
+ */
+const unionToJson = (fieldSchema, path, warnings) => {
+  const key = fieldSchema.oneOf ? 'oneOf' : 'anyOf';
+  const branches = fieldSchema[key];
+  if (!fieldSchema.discriminator) {
+    return { [key]: branches.map(branch => schemaToJson({ $: branch }, path, warnings)) };
+  }
+  const { discriminator } = fieldSchema;
+  return {
+    oneOf: Object.entries(branches).map(([kind, branch]) => {
+      const json = schemaToJson({ $: branch }, path, warnings);
+      const properties = json.properties || {};
+      return {
+        ...json,
+        properties: {
+          ...properties,
+          [discriminator]: { ...properties[discriminator], const: kind },
+        },
+        required: [...(json.required || []).filter(k => k !== discriminator), discriminator],
+      };
+    }),
+  };
+};
+
+/**
+ * Convert a field schema to a JSON schema,
+ * warnings are pushed to the given array
+ */
+const fieldToJson = (fieldSchema, path, warnings) => {
+  let json = typeToJson(fieldSchema, path, warnings);
+  if (fieldSchema.$ref) json.$ref = refToJson(fieldSchema.$ref);
+  if (has(fieldSchema, 'defaultValue')) {
+    if (typeof fieldSchema.defaultValue === 'function') {
+      warnings.push({ path, message: 'defaultValue function can\'t be expressed' });
+    } else {
+      json.default = fieldSchema.defaultValue;
+    }
+  }
+  Object.entries(fieldSchema.validate || {}).forEach(([k, args]) => {
+    if (k === 'allowedKeys') return;
+    const keywords = typeof args !== 'function' && validatorsToJson[k]
+      && validatorsToJson[k](args === true ? [] : args);
+    if (keywords) {
+      json = addKeywords(json, keywords);
+    } else {
+      warnings.push({ path, validator: k, message: `validator ${k} can't be expressed` });
+    }
+  });
+  if (fieldSchema.schema && objectTypes.includes(fieldSchema.type)) {
+    json = { ...json, ...schemaToJson(fieldSchema.schema, path, warnings) };
+  }
+  if (fieldSchema.schema && arrayTypes.includes(fieldSchema.type)) {
+    json.items = schemaToJson(fieldSchema.schema, `${path}.[]`, warnings);
+  }
+  if (recordTypes.includes(fieldSchema.type) && fieldSchema.keys) {
+    json.propertyNames = fieldToJson(
+      { type: 'string', ...fieldSchema.keys, allowNull: false },
+      `${path}.*`,
+      warnings,
+    );
+  }
+  if (recordTypes.includes(fieldSchema.type) && fieldSchema.values) {
+    json.additionalProperties = fieldToJson(fieldSchema.values, `${path}.*`, warnings);
+  }
+  const keys = fieldSchema.validate && fieldSchema.validate.allowedKeys;
+  if (keys || ['reject', 'strip'].includes(fieldSchema.unknownKeys)) {
+    json.additionalProperties = false;
+    (Array.isArray(keys) ? keys : []).forEach((key) => {
+      json.properties = json.properties || {};
+      if (!has(json.properties, key)) json.properties[key] = {};
+    });
+  }
+  if (fieldSchema.anyOf || fieldSchema.oneOf) {
+    json = { ...json, ...unionToJson(fieldSchema, path, warnings) };
+  }
+  if (fieldSchema.when) {
+    warnings.push({ path, validator: 'when', message: 'when conditions can\'t be expressed' });
+  }
+  if (fieldSchema.sanitize != null) {
+    warnings.push({ path, validator: 'sanitize', message: 'sanitizers can\'t be expressed' });
+  }
+  if (fieldSchema.severity) {
+    warnings.push({ path, validator: 'severity', message: 'severity levels can\'t be expressed' });
+  }
+  if (fieldSchema.allowNull !== false && json.type) {
+    json.type = [...(Array.isArray(json.type) ? json.type : [json.type]), 'null'];
+  }
+  return json;
+};
+
+/**
+ * Convert a (non flat) schema, `$` being the value itself
+ * and other keys its properties
+ */
+schemaToJson = (schema, path, warnings) => {
+  const fields = Object.keys(schema).filter(k => k !== '$');
+  const self = schema.$
+    ? fieldToJson({ allowNull: false, ...schema.$ }, path || '$', warnings)
+    : {};
+  if (!fields.length) return self;
+  const properties = fields.reduce((acc, field) => ({
+    ...acc,
+    [field]: fieldToJson(schema[field], path ? `${path}.${field}` : field, warnings),
+  }), {});
+  const required = fields.filter(field => schema[field].allowNull === false);
+  return {
+    type: 'object',
+    ...self,
+    // allowed keys without a schema have been added as `{}` properties
+    properties: { ...self.properties, ...properties },
+    ...(required.length ? { required } : {}),
+  };
+};
+
+/**
+ * Convert a validate-data-tree schema to a JSON Schema (draft 2020-12),
+ * the `definitions` option (see validate) becoming `$defs` and `$ref` a pointer to them.
+ * Returns `{ jsonSchema, warnings }`, warnings listing what can't be expressed
+ * (like custom validator functions) as `{ path, validator, message }`
+ */
+const toJsonSchema = (schema, { definitions } = {}) => {
+  const warnings = [];
+  const jsonSchema = {
+    $schema: DRAFT,
+    ...schemaToJson(schema, '', warnings),
+  };
+  if (definitions && Object.keys(definitions).length) {
+    jsonSchema.$defs = Object.entries(definitions).reduce((acc, [name, fieldSchema]) => ({
+      ...acc,
+      [name]: fieldToJson(fieldSchema, `$defs.${name}`, warnings),
+    }), {});
+  }
+  return { jsonSchema, warnings };
+};
+
+const typesFromJson = {
+  string: 'string',
+  integer: 'integer',
+  number: 'float',
+  boolean: 'boolean',
+  object: 'object',
+  array: 'array',
+};
+
+const validatorsFromFormats = {
+  email: 'isEmail',
+  uri: 'isURL',
+  uuid: 'isUUID',
+  ipv4: 'isIPv4',
+  ipv6: 'isIPv6',
+  hostname: 'isFQDN',
+  'date-time': 'isISO8601',
+};
+
+const annotations = [
+  '$schema', '$id', '$comment', 'title', 'description', 'examples', 'deprecated',
+];
+
+// the definitions are converted by fromJsonSchema
+const nonFieldKeywords = ['$defs', 'properties', 'required', 'additionalProperties'];
+
+let jsonToSchema;
+let jsonToField;
+
+/**
+ * Convert a JSON schema not tied to a property (a definition, the values of a record...)
+ * to a field schema, allowing null if its type does
+ */
+const standaloneFieldFromJson = (json, path, warnings) => {
+  const types = Array.isArray(json.type) ? json.type : [json.type];
+  const nullable = !json.type || types.includes('null');
+  return jsonToField(json, path, !nullable, warnings);
+};
+
+/**
+ * The property all the alternatives of a `oneOf` define with a different `const`,
+ * it becomes the discriminator of the union
+ */
+const discriminatorOf = (alternatives) => {
+  const [first] = alternatives;
+  const isConst = (json, k) => !!json.properties && !!json.properties[k]
+    && has(json.properties[k], 'const')
+    && !(json.properties[k].const !== null && typeof json.properties[k].const === 'object');
+  const candidates = Object.keys((first && first.properties) || {})
+    .filter(k => alternatives.every(json => isConst(json, k)));
+  return candidates.find((k) => {
+    const kinds = alternatives.map(json => String(json.properties[k].const));
+    return kinds.every((kind, i) => kinds.indexOf(kind) === i);
+  });
+};
+
+/**
+ * Convert `anyOf` / `oneOf` alternatives to the ones of a field schema,
+ * a `oneOf` with a discriminator property (see discriminatorOf)
+ * becomes a discriminated union
+ */
+const unionFromJson = (key, alternatives, path, warnings) => {
+  const toBranch = (json) => {
+    const branch = jsonToField(json, path, true, warnings);
+    delete branch.allowNull;
+    return branch;
+  };
+  const discriminator = key === 'oneOf' && discriminatorOf(alternatives);
+  if (!discriminator) return { [key]: alternatives.map(toBranch) };
+  return {
+    discriminator,
+    oneOf: alternatives.reduce((acc, json) => {
+      // the discriminator check already requires the property and its value
+      const { const: kind, ...property } = json.properties[discriminator];
+      const { [discriminator]: omitted, ...properties } = json.properties;
+      return {
+        ...acc,
+        [String(kind)]: toBranch({
+          ...json,
+          properties: Object.keys(property).length
+            ? { ...properties, [discriminator]: property }
+            : properties,
+          required: (json.required || []).filter(k => k !== discriminator),
+        }),
+      };
+    }, {}),
+  };
+};
+
+/**
+ * Convert a JSON schema to a field schema,
+ * warnings are pushed to the given array
+ */
+jsonToField = (json, path, required, warnings) => {
+  const fieldSchema = { allowNull: !required };
+  const validate = {};
+  const warn = keyword => warnings.push({
+    path,
+    keyword,
+    message: `keyword ${keyword} can't be expressed`,
+  });
+  const types = Array.isArray(json.type) ? json.type : [json.type].filter(Boolean);
+  const nonNullTypes = types.filter(t => t !== 'null');
+  if (nonNullTypes.length === 1 && typesFromJson[nonNullTypes[0]]) {
+    [fieldSchema.type] = nonNullTypes.map(t => typesFromJson[t]);
+  } else if (nonNullTypes.length && nonNullTypes.every(t => typesFromJson[t])) {
+    fieldSchema.type = nonNullTypes.map(t => typesFromJson[t]);
+  } else if (nonNullTypes.length) {
+    warn('type');
+  }
+  if (required && types.includes('null')) {
+    warnings.push({ path, keyword: 'type', message: 'a required field can\'t be null' });
+  }
+  Object.entries(json).forEach(([k, v]) => {
+    if (k === 'type' || annotations.includes(k)) return;
+    if (k === 'default') {
+      fieldSchema.defaultValue = v;
+    } else if (k === 'minLength' || k === 'maxLength') {
+      validate.len = [json.minLength || 0, ...(has(json, 'maxLength') ? [json.maxLength] : [])];
+    } else if (k === 'minItems' || k === 'maxItems') {
+      validate.size = [json.minItems || 0, ...(has(json, 'maxItems') ? [json.maxItems] : [])];
+    } else if (k === 'minimum') {
+      validate.min = v;
+    } else if (k === 'maximum') {
+      validate.max = v;
+    } else if (k === 'enum' && Array.isArray(v)) {
+      // the enum type compares the raw values (isIn would compare their strings)
+      fieldSchema.type = 'enum';
+      fieldSchema.values = v;
+    } else if (k === 'const' && !(v !== null && typeof v === 'object')) {
+      fieldSchema.type = 'enum';
+      fieldSchema.values = [v];
+    } else if (k === 'pattern') {
+      validate.matches = v;
+    } else if (k === 'format' && validatorsFromFormats[v]) {
+      validate[validatorsFromFormats[v]] = true;
+    } else if (k === 'not' && Object.keys(v).length === 1 && has(v, 'enum')) {
+      validate.notIn = [v.enum.map(String)];
+    } else if (k === 'not' && Object.keys(v).length === 1 && has(v, 'pattern')) {
+      validate.not = v.pattern;
+    } else if ((k === 'anyOf' || k === 'oneOf') && Array.isArray(v)
+      && !(json.anyOf && json.oneOf)) {
+      Object.assign(fieldSchema, unionFromJson(k, v, path, warnings));
+    } else if (k === 'items' && isPlainObject(v)) {
+      fieldSchema.schema = jsonToSchema(v, `${path}.[]`, warnings);
+    } else if (k === '$ref' && typeof v === 'string' && v.startsWith(DEFS)) {
+      fieldSchema.$ref = refFromJson(v);
+    } else if (k === 'propertyNames' && isPlainObject(v) && !json.properties) {
+      const { allowNull, type, ...keys } = jsonToField(v, `${path}.*`, true, warnings);
+      fieldSchema.type = 'record';
+      fieldSchema.keys = keys;
+    } else if (!nonFieldKeywords.includes(k)) {
+      warn(k);
+    }
+  });
+  if (json.properties) {
+    fieldSchema.schema = jsonToSchema(json, path, warnings, true);
+  } else if (json.additionalProperties === false) {
+    validate.allowedKeys = [];
+  } else if (isPlainObject(json.additionalProperties)) {
+    fieldSchema.type = 'record';
+    fieldSchema.values = standaloneFieldFromJson(json.additionalProperties, `${path}.*`, warnings);
+  }
+  if (Object.keys(validate).length) fieldSchema.validate = validate;
+  return fieldSchema;
+};
+
+/**
+ * Convert a JSON schema describing a whole value to a (non flat) schema:
+ * its properties become the schema keys, its other keywords the `$` key
+ * (`onlyProperties` when they have been handled already by jsonToField)
+ */
+jsonToSchema = (json, path, warnings, onlyProperties = false) => {
+  if (!json.properties) {
+    return { $: jsonToField(json, path || '$', true, warnings) };
+  }
+  const required = json.required || [];
+  const schema = Object.entries(json.properties).reduce((acc, [field, fieldJson]) => ({
+    ...acc,
+    [field]: jsonToField(
+      fieldJson,
+      path ? `${path}.${field}` : field,
+      required.includes(field),
+      warnings,
+    ),
+  }), {});
+  const keys = Object.keys(json.properties);
+  const self = onlyProperties
+    ? {}
+    : jsonToField({ ...json, properties: undefined }, path || '$', true, warnings);
+  delete self.allowNull;
+  if (json.additionalProperties === false) {
+    self.validate = { ...self.validate, allowedKeys: keys };
+  } else if (isPlainObject(json.additionalProperties)) {
+    warnings.push({
+      path: path || '$',
+      keyword: 'additionalProperties',
+      message: 'keyword additionalProperties can\'t be expressed',
+    });
+  }
+  delete self.type;
+  return Object.keys(self).length ? { ...schema, $: self } : schema;
+};
+
+/**
+ * Convert a JSON Schema to a validate-data-tree schema.
+ * Returns `{ schema, definitions, warnings }`, definitions being the converted `$defs`
+ * (for the `definitions` option of validate) and warnings listing the keywords
+ * which can't be expressed (like `$ref` to another document) as `{ path, keyword, message }`
+ */
+const fromJsonSchema = (jsonSchema) => {
+  const warnings = [];
+  const schema = jsonToSchema(jsonSchema, '', warnings);
+  const definitions = Object.entries(jsonSchema.$defs || {}).reduce((acc, [name, json]) => ({
+    ...acc,
+    [name]: standaloneFieldFromJson(json, `$defs.${name}`, warnings),
+  }), {});
+  return { schema, definitions, warnings };
+};
+
+module.exports = {
+  fromJsonSchema,
+  toJsonSchema,
+};
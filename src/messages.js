@@ -0,0 +1,269 @@
+const formatValue = (value) => {
+  if (value === undefined) return '';
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatArgs = args => (Array.isArray(args) ? args : [args])
+  .filter(arg => arg != null)
+  .map(formatValue)
+  .join(', ');
+
+/**
+ * "{path} must be between {args.0} and {args.1}" => "age must be between 18 and 99"
+ */
+const interpolate = (template, params) => template.replace(
+  /\{(path|value|validator|args)(?:\.(\d+))?\}/g,
+  (match, name, index) => {
+    if (name === 'args') {
+      const args = Array.isArray(params.args) ? params.args : [params.args];
+      return index === undefined ? formatArgs(args) : formatValue(args[index]);
+    }
+    return formatValue(params[name]);
+  },
+);
+
+/**
+ * A message depending on the presence of an upper bound (second argument)
+ * like for `len: [3]` vs `len: [3, 50]`
+ */
+const range = (bounded, unbounded) => params => interpolate(
+  (Array.isArray(params.args) && params.args[1] != null) ? bounded : unbounded,
+  params,
+);
+
+/**
+ * Default error messages per locale, keyed by validator name.
+ * Templates can use the `{path}`, `{value}`, `{args}` (or `{args.0}`, `{args.1}`...)
+ * and `{validator}` placeholders, they can also be functions receiving those params.
+ * `default` is used for validators without a dedicated message (custom ones for instance)
+ */
+const en = {
+  default: 'Validation {validator} on {path} failed',
+  required: '{path} is required',
+  type: '{path} must be of type {args}',
+  enum: '{path} must be one of: {args}',
+  allowedKeys: '{path} contains unexpected keys, allowed keys are: {args}',
+  unknownKey: '{path} is not allowed',
+  anyOf: '{path} does not match any of the allowed schemas',
+  oneOf: '{path} must match exactly one of the allowed schemas',
+  discriminator: '{path} must be one of: {args}',
+  size: range(
+    '{path} must contain between {args.0} and {args.1} elements',
+    '{path} must contain at least {args.0} elements',
+  ),
+  isString: '{path} must be a string',
+  equals: '{path} must be equal to {args}',
+  contains: '{path} must contain {args}',
+  notContains: '{path} must not contain {args}',
+  matches: '{path} has an invalid format',
+  is: '{path} has an invalid format',
+  regex: '{path} has an invalid format',
+  not: '{path} has an invalid format',
+  notRegex: '{path} has an invalid format',
+  isEmail: '{path} must be a valid email address',
+  isURL: '{path} must be a valid URL',
+  isUrl: '{path} must be a valid URL',
+  isMACAddress: '{path} must be a valid MAC address',
+  isIP: '{path} must be a valid IP address',
+  isIPv4: '{path} must be a valid IPv4 address',
+  isIPv6: '{path} must be a valid IPv6 address',
+  isIPRange: '{path} must be a valid IP range',
+  isFQDN: '{path} must be a fully qualified domain name',
+  isBoolean: '{path} must be a boolean',
+  isAlpha: '{path} must contain only letters',
+  isAlphanumeric: '{path} must contain only letters and numbers',
+  isNumeric: '{path} must contain only numbers',
+  isPort: '{path} must be a valid port number',
+  isLowercase: '{path} must be lowercase',
+  isUppercase: '{path} must be uppercase',
+  isAscii: '{path} must contain only ASCII characters',
+  isFullWidth: '{path} must contain full-width characters',
+  isHalfWidth: '{path} must contain half-width characters',
+  isVariableWidth: '{path} must contain full-width and half-width characters',
+  isMultibyte: '{path} must contain multibyte characters',
+  isSurrogatePair: '{path} must contain surrogate pair characters',
+  isInt: '{path} must be an integer',
+  isFloat: '{path} must be a number',
+  isDecimal: '{path} must be a decimal number',
+  isHexadecimal: '{path} must be a hexadecimal number',
+  isDivisibleBy: '{path} must be divisible by {args}',
+  isHexColor: '{path} must be a hexadecimal color',
+  isISRC: '{path} must be a valid ISRC',
+  isMD5: '{path} must be a MD5 hash',
+  isHash: '{path} must be a {args} hash',
+  isJWT: '{path} must be a JSON Web Token',
+  isJSON: '{path} must be valid JSON',
+  isEmpty: '{path} must be empty',
+  isNull: '{path} must be empty',
+  notEmpty: '{path} must not be empty',
+  isLength: range(
+    '{path} must have a length between {args.0} and {args.1}',
+    '{path} must have a length of at least {args.0}',
+  ),
+  len: range(
+    '{path} must have a length between {args.0} and {args.1}',
+    '{path} must have a length of at least {args.0}',
+  ),
+  isByteLength: range(
+    '{path} must have a byte length between {args.0} and {args.1}',
+    '{path} must have a byte length of at least {args.0}',
+  ),
+  isUUID: '{path} must be a UUID',
+  isMongoId: '{path} must be a MongoDB id',
+  isAfter: '{path} must be a date after {args}',
+  isBefore: '{path} must be a date before {args}',
+  isDate: '{path} must be a valid date',
+  isIn: '{path} must be one of: {args}',
+  notIn: '{path} must not be one of: {args}',
+  isCreditCard: '{path} must be a credit card number',
+  isIdentityCard: '{path} must be an identity card number',
+  isISIN: '{path} must be an ISIN',
+  isISBN: '{path} must be an ISBN',
+  isISSN: '{path} must be an ISSN',
+  isMobilePhone: '{path} must be a mobile phone number',
+  isPostalCode: '{path} must be a postal code',
+  isCurrency: '{path} must be a currency amount',
+  isISO8601: '{path} must be an ISO 8601 date',
+  isRFC3339: '{path} must be a RFC 3339 date',
+  isISO31661Alpha2: '{path} must be an ISO 3166-1 alpha-2 country code',
+  isISO31661Alpha3: '{path} must be an ISO 3166-1 alpha-3 country code',
+  isBase64: '{path} must be base64 encoded',
+  isDataURI: '{path} must be a data URI',
+  isMagnetURI: '{path} must be a magnet URI',
+  isMimeType: '{path} must be a MIME type',
+  isLatLong: '{path} must be a latitude,longitude pair',
+  isWhitelisted: '{path} contains unauthorized characters',
+  min: '{path} must be greater than or equal to {args}',
+  max: '{path} must be less than or equal to {args}',
+};
+
+const fr = {
+  default: 'La validation {validator} de {path} a échoué',
+  required: '{path} est obligatoire',
+  type: '{path} doit être de type {args}',
+  enum: "{path} doit être l'une des valeurs : {args}",
+  allowedKeys: '{path} contient des clés inattendues, les clés autorisées sont : {args}',
+  unknownKey: "{path} n'est pas autorisé",
+  anyOf: '{path} ne correspond à aucun des schémas autorisés',
+  oneOf: '{path} doit correspondre à exactement un des schémas autorisés',
+  discriminator: "{path} doit être l'une des valeurs : {args}",
+  size: range(
+    '{path} doit contenir entre {args.0} et {args.1} éléments',
+    '{path} doit contenir au moins {args.0} éléments',
+  ),
+  isString: '{path} doit être une chaîne de caractères',
+  equals: '{path} doit être égal à {args}',
+  contains: '{path} doit contenir {args}',
+  notContains: '{path} ne doit pas contenir {args}',
+  matches: "{path} n'a pas un format valide",
+  is: "{path} n'a pas un format valide",
+  regex: "{path} n'a pas un format valide",
+  not: "{path} n'a pas un format valide",
+  notRegex: "{path} n'a pas un format valide",
+  isEmail: '{path} doit être une adresse email valide',
+  isURL: '{path} doit être une URL valide',
+  isUrl: '{path} doit être une URL valide',
+  isMACAddress: '{path} doit être une adresse MAC valide',
+  isIP: '{path} doit être une adresse IP valide',
+  isIPv4: '{path} doit être une adresse IPv4 valide',
+  isIPv6: '{path} doit être une adresse IPv6 valide',
+  isIPRange: "{path} doit être une plage d'adresses IP valide",
+  isFQDN: '{path} doit être un nom de domaine complet',
+  isBoolean: '{path} doit être un booléen',
+  isAlpha: '{path} ne doit contenir que des lettres',
+  isAlphanumeric: '{path} ne doit contenir que des lettres et des chiffres',
+  isNumeric: '{path} ne doit contenir que des chiffres',
+  isPort: '{path} doit être un numéro de port valide',
+  isLowercase: '{path} doit être en minuscules',
+  isUppercase: '{path} doit être en majuscules',
+  isAscii: '{path} ne doit contenir que des caractères ASCII',
+  isFullWidth: '{path} doit contenir des caractères pleine chasse',
+  isHalfWidth: '{path} doit contenir des caractères demi-chasse',
+  isVariableWidth: '{path} doit contenir des caractères pleine chasse et demi-chasse',
+  isMultibyte: '{path} doit contenir des caractères multi-octets',
+  isSurrogatePair: '{path} doit contenir des paires de substitution',
+  isInt: '{path} doit être un entier',
+  isFloat: '{path} doit être un nombre',
+  isDecimal: '{path} doit être un nombre décimal',
+  isHexadecimal: '{path} doit être un nombre hexadécimal',
+  isDivisibleBy: '{path} doit être divisible par {args}',
+  isHexColor: '{path} doit être une couleur hexadécimale',
+  isISRC: '{path} doit être un code ISRC',
+  isMD5: '{path} doit être une empreinte MD5',
+  isHash: '{path} doit être une empreinte {args}',
+  isJWT: '{path} doit être un JSON Web Token',
+  isJSON: '{path} doit être du JSON valide',
+  isEmpty: '{path} doit être vide',
+  isNull: '{path} doit être vide',
+  notEmpty: '{path} ne doit pas être vide',
+  isLength: range(
+    '{path} doit avoir une longueur comprise entre {args.0} et {args.1}',
+    '{path} doit avoir une longueur d\'au moins {args.0}',
+  ),
+  len: range(
+    '{path} doit avoir une longueur comprise entre {args.0} et {args.1}',
+    '{path} doit avoir une longueur d\'au moins {args.0}',
+  ),
+  isByteLength: range(
+    '{path} doit avoir une taille en octets comprise entre {args.0} et {args.1}',
+    '{path} doit avoir une taille en octets d\'au moins {args.0}',
+  ),
+  isUUID: '{path} doit être un UUID',
+  isMongoId: '{path} doit être un identifiant MongoDB',
+  isAfter: '{path} doit être une date postérieure à {args}',
+  isBefore: '{path} doit être une date antérieure à {args}',
+  isDate: '{path} doit être une date valide',
+  isIn: "{path} doit être l'une des valeurs : {args}",
+  notIn: "{path} ne doit pas être l'une des valeurs : {args}",
+  isCreditCard: '{path} doit être un numéro de carte bancaire',
+  isIdentityCard: "{path} doit être un numéro de carte d'identité",
+  isISIN: '{path} doit être un code ISIN',
+  isISBN: '{path} doit être un ISBN',
+  isISSN: '{path} doit être un ISSN',
+  isMobilePhone: '{path} doit être un numéro de téléphone mobile',
+  isPostalCode: '{path} doit être un code postal',
+  isCurrency: '{path} doit être un montant',
+  isISO8601: '{path} doit être une date ISO 8601',
+  isRFC3339: '{path} doit être une date RFC 3339',
+  isISO31661Alpha2: '{path} doit être un code pays ISO 3166-1 alpha-2',
+  isISO31661Alpha3: '{path} doit être un code pays ISO 3166-1 alpha-3',
+  isBase64: '{path} doit être encodé en base64',
+  isDataURI: '{path} doit être une URI de données',
+  isMagnetURI: '{path} doit être un lien magnet',
+  isMimeType: '{path} doit être un type MIME',
+  isLatLong: '{path} doit être une paire latitude,longitude',
+  isWhitelisted: '{path} contient des caractères non autorisés',
+  min: '{path} doit être supérieur ou égal à {args}',
+  max: '{path} doit être inférieur ou égal à {args}',
+};
+
+const catalogs = { en, fr };
+
+/**
+ * Given the validate options `{ locale, messages }`, return a function
+ * building the message of an error from its validator key, its params
+ * and the `messages` map of the field schema (which has precedence).
+ * `messages` in the options overrides (or extends) the locale catalog.
+ */
+const createMessageFormatter = ({ locale = 'en', messages = {} } = {}) => {
+  const catalog = catalogs[locale] || catalogs.en;
+  return (key, params, fieldMessages = {}) => {
+    const template = fieldMessages[key] || messages[key] || catalog[key]
+      || messages.default || catalog.default || en.default;
+    const fullParams = {
+      ...params,
+      validator: key,
+      locale,
+    };
+    return typeof template === 'function'
+      ? template(fullParams)
+      : interpolate(template, fullParams);
+  };
+};
+
+module.exports = {
+  catalogs,
+  createMessageFormatter,
+  interpolate,
+};
@@ -0,0 +1,139 @@
+const validateDataTree = require('./validate');
+
+const { ValidationErrors } = validateDataTree;
+
+/**
+ * The parts of a request which can be validated, in the order of their errors
+ */
+const requestParts = ['params', 'query', 'headers', 'body'];
+
+/**
+ * The validate options of a request part: the `unknownKeys` option doesn't apply
+ * to the headers, a request always having headers missing from their schema
+ * (like host or content-length)
+ */
+const partOptions = (part, options) => (part === 'headers' && options.unknownKeys
+  ? { ...options, unknownKeys: 'allow' }
+  : options);
+
+/**
+ * Compile the schemas of the request parts into a function validating them
+ * (given a function reading a part), resolving with the validated values per part
+ * or rejecting with all the errors, their paths starting with the part (ex: 'body.email').
+ * The other options are given to validate (like `coerce` or `unknownKeys`)
+ */
+const compileRequestSchemas = (schemas, {
+  validator = validateDataTree,
+  formatError,
+  status,
+  assign,
+  ...options
+}) => {
+  const validators = requestParts
+    .filter(part => schemas[part])
+    .map(part => [part, validator.compile(schemas[part], partOptions(part, options))]);
+  return readPart => Promise.all(validators.map(([part, validatePart]) => {
+    const value = readPart(part);
+    return validatePart.safeValidateAsync(value == null ? {} : value, { prefix: [part] })
+      .then(result => [part, result]);
+  })).then((results) => {
+    const errors = results.reduce((acc, [, result]) => acc.concat(result.errors), []);
+    const warnings = results.reduce((acc, [, result]) => acc.concat(result.warnings), []);
+    if (errors.length) throw new ValidationErrors(errors, warnings);
+    return results.map(([part, { value }]) => [part, value]);
+  });
+};
+
+/**
+ * The options common to both middlewares, see validateRequest
+ */
+const responseOptions = ({
+  formatError,
+  status = 400,
+  assign = false,
+}) => ({
+  status,
+  assign,
+  contentType: formatError ? 'application/json' : 'application/problem+json',
+  // req (express) and ctx (koa) both have the originalUrl
+  formatError: formatError || ((errors, req) => errors.toProblemDetails({
+    instance: req.originalUrl,
+  })),
+});
+
+/**
+ * Express middleware validating the `params`, `query`, `headers` and `body` of the requests
+ * against their schema: `validateRequest({ body: userSchema, query: { page: {...} } })`.
+ * An invalid request gets a response with the `status` (400 by default)
+ * and the body built by `formatError(errors, req)` (errors being the ValidationErrors),
+ * an RFC 7807 problem details one by default (see ValidationErrors.toProblemDetails).
+ * Options:
+ * - `assign` replaces the request parts with the validated values
+ * (coerced and with their default values, see the `coerce` option of validate)
+ * - `validator` the validator instance to use (see createValidator)
+ * - the options of validate (`coerce`, `unknownKeys`, `locale`, `collectAll`...),
+ * `unknownKeys` not applying to the headers
+ */
+const validateRequest = (schemas, options = {}) => {
+  const validateParts = compileRequestSchemas(schemas, options);
+  const {
+    status,
+    assign,
+    contentType,
+    formatError,
+  } = responseOptions(options);
+  return (req, res, next) => {
+    validateParts(part => req[part]).then((values) => {
+      if (assign) {
+        values.forEach(([part, value]) => {
+          req[part] = value;
+        });
+      }
+      next();
+    }, (e) => {
+      if (!(e instanceof ValidationErrors)) throw e;
+      res.status(status).type(contentType).json(formatError(e, req));
+    }).catch(next);
+  };
+};
+
+/**
+ * Koa middleware, see validateRequest (the body being `ctx.request.body`
+ * and `formatError` getting `ctx` instead of `req`)
+ */
+const koaValidateRequest = (schemas, options = {}) => {
+  const validateParts = compileRequestSchemas(schemas, options);
+  const {
+    status,
+    assign,
+    contentType,
+    formatError,
+  } = responseOptions(options);
+  const readPart = ctx => part => (part === 'body' ? ctx.request.body : ctx[part]);
+  const assignPart = (ctx, part, value) => {
+    if (part === 'query') {
+      // the query setter of koa would convert the values back to strings
+      Object.defineProperty(ctx.request, 'query', { value, configurable: true });
+    } else if (part === 'params') {
+      // set by the router
+      ctx.params = value;
+    } else {
+      ctx.request[part] = value;
+    }
+  };
+  return (ctx, next) => validateParts(readPart(ctx)).then((values) => {
+    if (assign) values.forEach(([part, value]) => assignPart(ctx, part, value));
+    return next();
+  }, (e) => {
+    if (!(e instanceof ValidationErrors)) throw e;
+    ctx.status = status;
+    ctx.body = formatError(e, ctx);
+    // after the body which sets the json type
+    ctx.type = contentType;
+  });
+};
+
+module.exports = {
+  koaValidateRequest,
+  validateRequest,
+};
@@ -0,0 +1,212 @@
+const { cloneDeep, isPlainObject } = require('lodash');
+const { types } = require('./types');
+
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+/**
+ * Convert a value to a type (see types.js) when it defines a coercion,
+ * `registryTypes` being the types of the validator instance
+ */
+const coerceValue = (value, type, registryTypes = types) => {
+  const definition = typeof type === 'string' && registryTypes[type];
+  return (value != null && definition && definition.coerce) ? definition.coerce(value) : value;
+};
+
+/**
+ * The default value of a field, functions are called to build it
+ * and other values are cloned so that defaults are never shared between outputs
+ */
+const defaultValueOf = ({ defaultValue }) => (
+  typeof defaultValue === 'function' ? defaultValue() : cloneDeep(defaultValue)
+);
+
+/**
+ * The steps of the `sanitize` option of a field, a single step being the same as a list of one
+ */
+const sanitizeSteps = sanitize => (Array.isArray(sanitize) ? sanitize : [sanitize])
+  .filter(step => step != null);
+
+/**
+ * Apply the `sanitize` option of a field to a value which isn't null, step by step:
+ * a step is the name of a sanitizer (see createRegistry in validate.js),
+ * a `[name, ...args]` list or a function transforming the value
+ */
+const sanitizeValue = (value, sanitize, sanitizers = {}) => {
+  if (value == null) return value;
+  return sanitizeSteps(sanitize).reduce((v, step) => {
+    if (typeof step === 'function') return step(v);
+    const [name, ...args] = Array.isArray(step) ? step : [step];
+    return sanitizers[name](v, ...args);
+  }, value);
+};
+
+const unknownKeysModes = ['allow', 'reject', 'strip'];
+
+/**
+ * The options for the children of a field, its `unknownKeys` mode
+ * (if any) overrides the inherited one
+ */
+const childOptions = (fieldSchema, options) => (
+  (fieldSchema.unknownKeys && fieldSchema.unknownKeys !== options.unknownKeys)
+    ? { ...options, unknownKeys: fieldSchema.unknownKeys }
+    : options
+);
+
+/**
+ * The alternative of a discriminated union (`discriminator` with `oneOf` or `anyOf`)
+ * selected by a value, if any. Its schema declares the discriminator key,
+ * so that it isn't an unknown key of the value
+ */
+const selectBranch = ({ discriminator, anyOf, oneOf }, value) => {
+  const branches = oneOf || anyOf;
+  if (!discriminator || !isPlainObject(branches) || !isPlainObject(value)
+    || value[discriminator] == null) return null;
+  const kind = String(value[discriminator]);
+  if (!has(branches, kind)) return null;
+  const branch = branches[kind];
+  return isPlainObject(branch.schema) && !has(branch.schema, discriminator)
+    ? { ...branch, schema: { [discriminator]: {}, ...branch.schema } }
+    : branch;
+};
+
+const isObjectLike = o => o !== null && typeof o === 'object';
+
+let normalizeTree;
+
+/**
+ * Update the value at the rest of the path of a field key with `fn(value, path)`,
+ * returning a copy: "locale" of "settings.locale" is a field of the "settings" object
+ * and "[].name" of "roles.[].name" the field of each element of the "roles" array
+ * (missing parents aren't created, a missing field is only set to a defined value)
+ */
+const updateAt = (value, segments, fn, path) => {
+  if (!segments.length) return fn(value, path);
+  const [head, ...rest] = segments;
+  if (head === '[]') {
+    return Array.isArray(value)
+      ? value.map((el, i) => updateAt(el, rest, fn, [...path, i]))
+      : value;
+  }
+  if (!isPlainObject(value)) return value;
+  const v = updateAt(value[head], rest, fn, [...path, head]);
+  if (v === value[head] || (v === undefined && !has(value, head))) return value;
+  return { ...value, [head]: v };
+};
+
+/**
+ * Normalize a single value against its field schema:
+ * fill the default value if missing, sanitize it, coerce it if enabled,
+ * then normalize nested objects, array elements, record values
+ * and the selected alternative of a discriminated union.
+ * A `$ref` field is normalized against its definition (see the `definitions` option),
+ * an object containing itself being only normalized once
+ */
+const normalizeValue = (value, fieldSchema, options, path) => {
+  if (fieldSchema.$ref) {
+    const { $ref, ...overrides } = fieldSchema;
+    const { definitions = {}, refValues = [] } = options;
+    if (!has(definitions, $ref) || (isObjectLike(value) && refValues.includes(value))) return value;
+    return normalizeValue(
+      value,
+      { ...definitions[$ref], ...overrides },
+      { ...options, refValues: [...refValues, value] },
+      path,
+    );
+  }
+  let v = (value === undefined && has(fieldSchema, 'defaultValue') && !options.partial)
+    ? defaultValueOf(fieldSchema)
+    : value;
+  if (fieldSchema.sanitize != null) v = sanitizeValue(v, fieldSchema.sanitize, options.sanitizers);
+  if (options.coerce) v = coerceValue(v, fieldSchema.type, options.types);
+  if (fieldSchema.schema && fieldSchema.type === 'object' && isPlainObject(v)) {
+    v = normalizeTree(v, fieldSchema.schema, childOptions(fieldSchema, options), path);
+  }
+  if (fieldSchema.schema && fieldSchema.type === 'array' && Array.isArray(v)) {
+    const elOptions = childOptions(fieldSchema, options);
+    v = v.map((el, i) => normalizeTree(el, fieldSchema.schema, elOptions, [...path, i]));
+  }
+  if (fieldSchema.values && fieldSchema.type === 'record' && isPlainObject(v)) {
+    const valueOptions = childOptions(fieldSchema, options);
+    v = Object.keys(v).reduce((acc, k) => ({
+      ...acc,
+      [k]: normalizeValue(v[k], fieldSchema.values, valueOptions, [...path, k]),
+    }), {});
+  }
+  const branch = selectBranch(fieldSchema, v);
+  if (branch) v = normalizeValue(v, branch, childOptions(fieldSchema, options), path);
+  return v;
+};
+
+/**
+ * Normalize a value against a (non flat) schema,
+ * `$` being the schema of the value itself and other keys the schemas of its fields.
+ * Returns a new value, the input is never mutated.
+ * Options:
+ * - `coerce` converts scalars to their field type, using the coercions of `types`
+ * (the built-in types by default)
+ * - `sanitizers` the sanitizers by name for the `sanitize` option of the fields
+ * - `unknownKeys` ('allow' by default) handles the keys of objects missing from their schema:
+ * 'strip' removes them, 'reject' calls `onUnknownKey(path, value, knownKeys)` for each one
+ * (inherited by nested schemas unless they define their own `unknownKeys`)
+ * - `definitions` the field schemas referenced by `$ref` fields
+ * - `partial` doesn't fill the default values of missing fields
+ */
+normalizeTree = (value, schema, options = {}, path = []) => {
+  const self = schema.$ ? normalizeValue(value, schema.$, options, path) : value;
+  const fields = Object.keys(schema).filter(k => k !== '$');
+  const checkKeys = (fields.length || !schema.$)
+    && ['reject', 'strip'].includes(options.unknownKeys);
+  if (!isPlainObject(self) || !(fields.length || checkKeys)) return self;
+  const copy = { ...self };
+  if (checkKeys) {
+    // a field key like "settings.locale" declares the "settings" key
+    const knownKeys = fields.map(field => field.split('.')[0]);
+    Object.keys(self)
+      .filter(k => !knownKeys.includes(k))
+      .forEach((k) => {
+        if (options.unknownKeys === 'strip') {
+          delete copy[k];
+        } else if (options.onUnknownKey) {
+          options.onUnknownKey([...path, k], self[k], knownKeys);
+        }
+      });
+  }
+  fields.forEach((field) => {
+    // a key like "settings.locale" normalizes the field of a nested object
+    const [head, ...rest] = field.split('.');
+    const v = updateAt(
+      copy[head],
+      rest,
+      (fieldValue, fieldPath) => normalizeValue(fieldValue, schema[field], options, fieldPath),
+      [...path, head],
+    );
+    if (v !== undefined || has(copy, head)) copy[head] = v;
+  });
+  return copy;
+};
+
+/**
+ * Whether normalizing a value against this schema can change it,
+ * if not validation can skip the normalization.
+ * The `$ref` fields aren't followed, the definitions being checked once at the top level
+ */
+const needsNormalize = (schema, options = {}) => !!options.coerce
+  || ['reject', 'strip'].includes(options.unknownKeys)
+  || Object.values(options.definitions || {}).some(definition => needsNormalize({ $: definition }))
+  || Object.values(schema).some(fieldSchema => has(fieldSchema, 'defaultValue')
+    || fieldSchema.sanitize != null
+    || ['reject', 'strip'].includes(fieldSchema.unknownKeys)
+    || (!!fieldSchema.schema && needsNormalize(fieldSchema.schema))
+    || (fieldSchema.type === 'record' && !!fieldSchema.values
+      && needsNormalize({ $: fieldSchema.values }))
+    || (!!fieldSchema.discriminator
+      && Object.values(fieldSchema.oneOf || fieldSchema.anyOf || {})
+        .some(branch => needsNormalize({ $: branch }))));
+
+module.exports = {
+  coerceValue,
+  needsNormalize,
+  sanitizeSteps,
+  unknownKeysModes,
+  normalize: normalizeTree,
+};
@@ -0,0 +1,120 @@
+const { isPlainObject } = require('lodash');
+const { validator } = require('./validator-extras');
+const {
+  isIndexedCollection, isList, isMap, isSet,
+} = require('./collections');
+
+const isIntegerString = o => typeof o === 'string' && /^[-+]?\d+$/.test(o.trim());
+const isNumberString = o => typeof o === 'string' && o.trim() !== '' && !Number.isNaN(Number(o));
+
+const toDate = (o) => {
+  const date = new Date(o);
+  return Number.isNaN(date.getTime()) ? o : date;
+};
+
+const isNumber = o => typeof o === 'number' && !Number.isNaN(o);
+
+/**
+ * The built-in types, a type being defined by:
+ * - `check(value, fieldSchema)` telling if the value is of this type
+ * - `coerce(value)` (optional) converting a value to this type when the `coerce` option is enabled,
+ * it returns the value untouched when it can't be coerced (the type check then fails)
+ * - `validate` (optional) default validators of the fields of this type,
+ * the field ones taking precedence
+ * - `key` and `args(fieldSchema)` (optional) the validator key and arguments of the error
+ * when the check fails, `type` and the type name by default
+ */
+const string = {
+  check: o => typeof o === 'string',
+  coerce: o => ((typeof o === 'number' || typeof o === 'boolean') ? String(o) : o),
+};
+
+const integer = {
+  check: o => Number.isInteger(o),
+  coerce: o => (isIntegerString(o) ? Number(o) : o),
+};
+
+const float = {
+  check: isNumber,
+  coerce: o => (isNumberString(o) ? Number(o) : o),
+};
+
+const types = {
+  string,
+  text: string,
+  integer,
+  // the bigint typeof is unknown to eslint 5
+  // eslint-disable-next-line valid-typeof
+  bigint: { ...integer, check: o => Number.isInteger(o) || typeof o === 'bigint' },
+  float,
+  double: float,
+  decimal: float,
+  boolean: {
+    check: o => typeof o === 'boolean',
+    coerce: (o) => {
+      if (o === 'true' || o === '1') return true;
+      if (o === 'false' || o === '0') return false;
+      return o;
+    },
+  },
+  date: {
+    check: o => o instanceof Date && !Number.isNaN(o.getTime()),
+    coerce: o => ((typeof o === 'string' || typeof o === 'number') ? toDate(o) : o),
+  },
+  uuid: {
+    check: o => typeof o === 'string' && validator.isUUID(o),
+  },
+  // { type: 'enum', values: ['DRAFT', 'PUBLISHED'] }
+  enum: {
+    check: (o, { values = [] }) => values.includes(o),
+    key: 'enum',
+    args: ({ values = [] }) => values,
+  },
+  // not an array, a List or a Set (see the array types)
+  object: {
+    check: o => typeof o === 'object' && !isIndexedCollection(o),
+  },
+  array: {
+    check: o => Array.isArray(o),
+  },
+  // ES Map, Immutable Map or Record
+  map: {
+    check: isMap,
+  },
+  // Immutable List
+  list: {
+    check: isList,
+  },
+  // ES Set or Immutable Set
+  set: {
+    check: isSet,
+  },
+  // { type: 'record', keys: { validate: { matches: '^[a-z]{2}$' } }, values: { type: 'string' } }
+  record: {
+    check: o => isPlainObject(o),
+  },
+  any: {
+    check: () => true,
+  },
+};
+
+/**
+ * The types whose nested `schema` describes their fields (by key)
+ * or their elements (by index), and the ones with `keys` and `values` schemas
+ */
+const objectTypes = ['object', 'map'];
+const arrayTypes = ['array', 'list', 'set'];
+const recordTypes = ['record', 'map'];
+
+/**
+ * A type given as a check function is the same as `{ check }`
+ */
+const defineType = type => (typeof type === 'function' ? { check: type } : type);
+
+module.exports = {
+  arrayTypes,
+  defineType,
+  objectTypes,
+  recordTypes,
+  types,
+};
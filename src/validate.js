@@ -1,38 +1,195 @@
 const assert = require('assert');
-const { Set, getIn } = require('immutable');
-const { validator } = require('./validator-extras');
+const { isPlainObject, mapValues } = require('lodash');
+const { contextValidators, sanitizers: sanitizerNames, validator } = require('./validator-extras');
+const { createMessageFormatter } = require('./messages');
+const {
+  needsNormalize,
+  normalize,
+  sanitizeSteps,
+  unknownKeysModes,
+} = require('./normalize');
+const { fromJsonSchema, toJsonSchema } = require('./json-schema');
+const { generateTypes } = require('./generate-types');
+const {
+  deepPartial,
+  extend,
+  merge,
+  omit,
+  partial,
+  pick,
+  required,
+} = require('./compose');
+const {
+  arrayTypes,
+  defineType,
+  objectTypes,
+  recordTypes,
+  types,
+} = require('./types');
+const {
+  childOf,
+  elementsOf,
+  isIndexedCollection,
+  isKeyedCollection,
+  keysOf,
+  sizeOf,
+} = require('./collections');
+const {
+  SchemaErrors,
+  checkSchema: checkSchemaWith,
+  unconditionalOptions,
+} = require('./check-schema');
 
+const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+/**
+ * The error of a field, `type` being the kind of error (see ValidationErrorItem.Types),
+ * `origin` what found it (see ValidationErrorItem.Origins)
+ * and `severity` whether it fails the validation (see ValidationErrorItem.Severities)
+ */
 class ValidationErrorItem extends Error {
-  constructor(message, type, path, value, inst, validatorKey, fnName, fnArgs) {
+  constructor(message, type, path, value, inst, validatorKey, fnName, fnArgs, origin, severity) {
     super(message);
     this.message = message || '';
-    this.type = null;
+    this.type = type || null;
     this.path = path || null;
     this.value = value !== undefined ? value : null;
-    this.origin = null;
+    this.origin = origin || null;
+    this.severity = severity || ValidationErrorItem.Severities.ERROR;
     this.instance = inst || null;
     this.validatorKey = validatorKey || null;
     this.validatorName = fnName || null;
     this.validatorArgs = fnArgs || [];
   }
+
+  toJSON() {
+    return {
+      message: this.message,
+      type: this.type,
+      path: this.path,
+      value: this.value,
+      origin: this.origin,
+      severity: this.severity,
+      validatorKey: this.validatorKey,
+      validatorName: this.validatorName,
+      validatorArgs: this.validatorArgs,
+      ...(this.branchErrors
+        ? { branchErrors: this.branchErrors.map(errors => errors.map(e => e.toJSON())) }
+        : {}),
+    };
+  }
 }
 
+ValidationErrorItem.Types = {
+  // a missing value (allowNull: false)
+  NOT_NULL: 'notNull violation',
+  // a value which isn't of the field type
+  TYPE: 'type violation',
+  // a key missing from the schema (unknownKeys: 'reject')
+  UNKNOWN_KEY: 'unknownKey violation',
+  // a failing validator or union
+  VALIDATION: 'Validation error',
+};
+
+ValidationErrorItem.Origins = {
+  // the built-in checks and validators
+  CORE: 'CORE',
+  // the custom validator functions, in the schema or registered with createValidator
+  FUNCTION: 'FUNCTION',
+};
+
+ValidationErrorItem.Severities = {
+  // fails the validation
+  ERROR: 'error',
+  // advisory ones (like a weak password), reported in the `warnings` of the result
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+const {
+  Types: errorTypes,
+  Origins: errorOrigins,
+  Severities: errorSeverities,
+} = ValidationErrorItem;
+
+/**
+ * Whether an error fails the validation, the warnings and infos don't
+ */
+const isBlocking = e => e.severity === errorSeverities.ERROR;
+
+/**
+ * Thrown with the errors of a validation (and its warnings), its formatters giving the errors
+ * grouped by path (toFlatMap), nested like the input (toTree) or as an RFC 7807 body
+ */
 class ValidationErrors extends Error {
-  constructor(errors) {
+  constructor(errors, warnings = []) {
     super();
     this.name = 'ValidationErrors';
     this.errors = errors;
+    this.warnings = warnings;
+  }
+
+  /**
+   * The validator keys of the errors per path, ex: `{ 'roles.1.name': ['len', 'matches'] }`
+   */
+  toFlatMap() {
+    return this.errors.reduce((acc, { path, validatorKey }) => ({
+      ...acc,
+      [path]: [...(acc[path] || []), validatorKey],
+    }), {});
+  }
+
+  /**
+   * The error messages nested like the input, the `$` key of a node
+   * being the messages of the value itself,
+   * ex: `{ roles: { 1: { name: { $: ['roles.1.name is too long'] } } } }`
+   */
+  toTree() {
+    return this.errors.reduce((acc, { path, message }) => {
+      const node = (path && path !== '$' ? path.split('.') : []).reduce((parent, k) => {
+        if (!has(parent, k)) Object.assign(parent, { [k]: {} });
+        return parent[k];
+      }, acc);
+      node.$ = [...(node.$ || []), message];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * An RFC 7807 problem details body (application/problem+json),
+   * the errors being its `invalid-params`,
+   * the given members (like `type` or `instance`) overriding the default ones
+   */
+  toProblemDetails(members = {}) {
+    return {
+      type: 'about:blank',
+      title: 'Your request parameters didn\'t validate.',
+      status: 400,
+      'invalid-params': this.errors.map(({ path, message, validatorKey }) => ({
+        name: path,
+        reason: message,
+        validator: validatorKey,
+      })),
+      ...members,
+    };
+  }
+
+  toJSON() {
+    const toJSON = e => (e instanceof ValidationErrorItem ? e.toJSON() : e);
+    return {
+      name: this.name,
+      errors: this.errors.map(toJSON),
+      ...(this.warnings.length ? { warnings: this.warnings.map(toJSON) } : {}),
+    };
   }
 }
 
-const allowedKeys = (o, ...keys) => {
-  const extraKeys = Set(Object.keys(o)).subtract(keys);
-  return extraKeys.size === 0;
-};
+const allowedKeys = (o, ...keys) => keysOf(o).every(k => keys.includes(k));
 
-const size = (o, min, max) => Array.isArray(o)
-  && o.length >= min
-  && (!max || o.length <= max);
+const size = (o, min, max) => {
+  const n = sizeOf(o);
+  return n !== undefined && n >= min && (!max || n <= max);
+};
 
 const isString = o => typeof o === 'string';
 
@@ -42,56 +199,69 @@ const extraValidators = {
   isString,
 };
 
+const isPromise = o => !!o && typeof o.then === 'function';
+
+/**
+ * Run the given thunks (functions returning a value or a promise)
+ * with at most `concurrency` of them pending at the same time,
+ * resolves with their results in the same order.
+ * No more thunk is started once `isDone` returns true for a result
+ * (their results are then left undefined)
+ */
+const runConcurrently = (thunks, concurrency = Infinity, isDone = () => false) => {
+  const results = [];
+  let next = 0;
+  let done = false;
+  const worker = () => {
+    if (done || next >= thunks.length) return Promise.resolve();
+    const i = next;
+    next += 1;
+    return Promise.resolve()
+      .then(() => thunks[i]())
+      .then((r) => {
+        results[i] = r;
+        done = done || isDone(r);
+        return worker();
+      });
+  };
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, thunks.length)) },
+    worker,
+  );
+  return Promise.all(workers).then(() => results);
+};
+
 /**
  * Given an array of validator functions,
- * return a single composed one returning when the first has failed
+ * return a single one running all of them and returning true or the list of errors
+ * (see the `collectAll` option)
  */
-const composeValidators = ([v1, v2, ...vs]) => {
-  if (!v1) return () => true;
-  if (!v2) return v1;
-  const v = (o) => {
-    const r1 = v1(o);
-    return (r1 instanceof ValidationErrorItem) ? r1 : v2(o);
+const collectValidators = validators => (o, ...args) => {
+  const results = validators.map(v => v(o, ...args));
+  const toResult = (rs) => {
+    const errors = rs.filter(r => r instanceof ValidationErrorItem);
+    return errors.length ? errors : true;
   };
-  return composeValidators([v, ...vs]);
+  return results.some(isPromise) ? Promise.all(results).then(toResult) : toResult(results);
 };
 
 /**
- * Given an object definition of validators like `{isEmail: true, len: [1, 50]}`
- * return an array of validator functions
- * (to be composed then with composeValidators)
+ * Given an array of validator functions,
+ * return a single composed one returning when the first has failed
+ * (validators may return a promise, the next one is then chained to it)
  */
-const schemaToValidators = (field, schema) => Object.keys(schema).map((k) => {
-  const isStringValidator = validator[k];
-  const isCustom = !validator[k] && !extraValidators[k];
-  const predicate = validator[k] || extraValidators[k] || schema[k];
-  const validatorArgs = ((isCustom || schema[k] === true) && [])
-    || (Array.isArray(schema[k]) && schema[k])
-    || [schema[k]];
-  const sanitize = o => (!isStringValidator ? o : ((o && String(o)) || ''));
-  return (o) => {
-    try {
-      if (predicate.apply(validator, [sanitize(o), ...validatorArgs])) {
-        return true;
-      }
-      throw new ValidationErrorItem(
-        `Validation ${k} on ${field} failed`,
-        'Validation error',
-        field,
-        sanitize(o),
-        null,
-        k,
-        k,
-        validatorArgs,
-      );
-    } catch (e) {
-      if (e instanceof ValidationErrorItem) {
-        return e;
-      }
-      throw e;
+const composeValidators = ([v1, v2, ...vs]) => {
+  if (!v1) return () => true;
+  if (!v2) return v1;
+  const v = (o, ...args) => {
+    const r1 = v1(o, ...args);
+    if (isPromise(r1)) {
+      return r1.then(r => ((r instanceof ValidationErrorItem) ? r : v2(o, ...args)));
     }
+    return (r1 instanceof ValidationErrorItem) ? r1 : v2(o, ...args);
   };
-});
+  return composeValidators([v, ...vs]);
+};
 
 /**
  * "username" => ["username"]
@@ -112,151 +282,1105 @@ const mapPathToKey = (path, removeArrays) => path.map(p => (
     : p
 )).filter(p => !(removeArrays && p === '[]')).join('.');
 
+const isArrayMarker = p => Array.isArray(p) && p.length === 0;
+
+const isSamePath = (path, other) => path.length === other.length
+  && path.every((p, i) => (isArrayMarker(p) ? isArrayMarker(other[i]) : p === other[i]));
+
+/**
+ * The error path of a field given the prefix (with the array indices)
+ * and its path from there, the empty path being the value itself
+ * ex: ["roles", 1], ["name"] => "roles.1.name"
+ */
+const formatPath = (prefix, path) => mapPathToKey([...prefix, ...path], true) || '$';
+
+const defaultFormatMessage = createMessageFormatter();
+
+/**
+ * used in compileChecks below
+ */
+const createTypeException = (
+  path,
+  value,
+  type,
+  prefix = [],
+  formatMessage = defaultFormatMessage,
+  key = 'type',
+  severity = errorSeverities.ERROR,
+) => new ValidationErrorItem(
+  formatMessage(key, { path: formatPath(prefix, path), value, args: type }),
+  errorTypes.TYPE,
+  formatPath(prefix, path),
+  value,
+  null,
+  key,
+  key,
+  type,
+  errorOrigins.CORE,
+  severity,
+);
+
+/**
+ * used for the `unknownKeys: 'reject'` option
+ */
+const createUnknownKeyException = (
+  path,
+  value,
+  knownKeys,
+  formatMessage = defaultFormatMessage,
+) => new ValidationErrorItem(
+  formatMessage('unknownKey', { path: mapPathToKey(path), value, args: knownKeys }),
+  errorTypes.UNKNOWN_KEY,
+  mapPathToKey(path),
+  value,
+  null,
+  'unknownKey',
+  'unknownKey',
+  knownKeys,
+  errorOrigins.CORE,
+);
+
+/**
+ * A function getting the value at the given path of an object,
+ * the empty path being the object itself.
+ * Objects and arrays can be Immutable or ES collections at any level (see collections.js)
+ */
+const getter = (path) => {
+  if (path.length === 0) return obj => obj;
+  if (path.length === 1) {
+    const [key] = path;
+    return obj => childOf(obj, key);
+  }
+  return obj => path.reduce(childOf, obj);
+};
+
+/**
+ * The validator.js sanitizers by name, the values which aren't strings are left untouched
+ */
+const validatorSanitizers = sanitizerNames.reduce((acc, k) => ({
+  ...acc,
+  [k]: (value, ...args) => (typeof value === 'string' ? validator[k](value, ...args) : value),
+}), {});
+
+/**
+ * The named validators, types (see types.js) and sanitizers available to schemas,
+ * the ones given (see createValidator) are added to the default ones
+ * without changing them
+ */
+const createRegistry = ({
+  validators = {},
+  types: customTypes = {},
+  sanitizers = {},
+} = {}) => {
+  const registered = { ...extraValidators, ...validators };
+  // validator.js functions call each other through `this`
+  const registryValidators = Object.assign(Object.create(validator), registered);
+  return {
+    validators: registryValidators,
+    types: { ...types, ...mapValues(customTypes, defineType) },
+    sanitizers: { ...validatorSanitizers, ...sanitizers },
+    validatorNames: () => Object.keys(validator).concat(Object.keys(registered)),
+    // validator.js validators work on strings, the other ones
+    // (and the instance based ones, like isImmutable) on the raw value
+    isStringValidator: k => !has(registered, k) && !contextValidators.includes(k) && !!validator[k],
+    // the validators given to createValidator
+    isCustomValidator: k => has(validators, k),
+    /**
+     * Whether a validator of a field schema `validate` takes the validation context
+     * as last argument: custom functions, registered validators
+     * and the instance based ones (like isImmutable)
+     */
+    takesContext: (k, schema) => contextValidators.includes(k) || has(validators, k)
+      || (!registryValidators[k] && typeof schema[k] === 'function'),
+  };
+};
+
+const defaultRegistry = createRegistry();
+
+/**
+ * Given an object definition of validators like `{isEmail: true, len: [1, 50]}`
+ * return an array of validator functions
+ * (to be composed then with composeValidators)
+ * They take the value, the prefix of the field path (with the array indices)
+ * and the validation context (see validationContext) given to the validators taking it,
+ * formatMessage builds the error message from the validator key and the error params
+ */
+const schemaToValidators = (
+  path,
+  schema,
+  formatMessage = defaultFormatMessage,
+  registry = defaultRegistry,
+) => Object.keys(schema).map((k) => {
+  const isStringValidator = registry.isStringValidator(k);
+  const isCustom = !registry.validators[k];
+  const predicate = registry.validators[k] || schema[k];
+  assert(
+    typeof predicate === 'function',
+    `unknown validator ${k} for ${mapPathToKey(path) || '$'}, custom validators must be functions`,
+  );
+  const validatorArgs = ((isCustom || schema[k] === true) && [])
+    || (Array.isArray(schema[k]) && schema[k])
+    || [schema[k]];
+  const withContext = registry.takesContext(k, schema);
+  const origin = (isCustom || registry.isCustomValidator(k))
+    ? errorOrigins.FUNCTION
+    : errorOrigins.CORE;
+  const toInput = o => (!isStringValidator ? o : ((o && String(o)) || ''));
+  const toResult = (o, prefix) => (passed) => {
+    if (passed) return true;
+    const field = formatPath(prefix, path);
+    return new ValidationErrorItem(
+      formatMessage(k, { path: field, value: o, args: validatorArgs }),
+      errorTypes.VALIDATION,
+      field,
+      toInput(o),
+      null,
+      k,
+      k,
+      validatorArgs,
+      origin,
+    );
+  };
+  const catchErrorItem = (e) => {
+    if (e instanceof ValidationErrorItem) {
+      return e;
+    }
+    throw e;
+  };
+  return (o, prefix = [], context) => {
+    try {
+      const passed = predicate.apply(
+        registry.validators,
+        [toInput(o), ...validatorArgs, ...(withContext ? [context] : [])],
+      );
+      if (isPromise(passed)) {
+        return passed.then(toResult(o, prefix), catchErrorItem);
+      }
+      return toResult(o, prefix)(passed);
+    } catch (e) {
+      return catchErrorItem(e);
+    }
+  };
+});
+
+/**
+ * Flatten a schema with nested definitions for objects and arrays
+ * into a list of `[path, fieldSchema]`, a path containing [] being
+ * for each element of the array before it, and `$` being the value at the prefix
+ * ex: { roles: { type: 'array', schema: { name: {...}, $: {...} } } }
+ * => [[["roles", [], "name"], {...}], [["roles", []], {...}], [["roles"], {...}]]
+ * The `$ref` of a field isn't expanded here but when validating (see compileRefField)
+ */
 const flattenSchema = (schema, prefix = []) => {
-  let flat = {};
+  const flat = [];
   Object.entries(schema).forEach(([field, fieldSchema]) => {
-    const path = [
-      ...prefix,
-      ...((field === '$' && prefix.length) ? [] : [field]),
-    ];
-    if (['object', 'array'].includes(fieldSchema.type) && fieldSchema.schema) {
-      flat = {
-        ...flat,
-        ...flattenSchema(
-          fieldSchema.schema,
-          [...path, ...(fieldSchema.type === 'object' ? [] : [[]])],
-        ),
-      };
+    const path = field === '$' ? prefix : [...prefix, ...mapKeyToPath(field)];
+    const isObject = objectTypes.includes(fieldSchema.type);
+    if ((isObject || arrayTypes.includes(fieldSchema.type))
+      && fieldSchema.schema && !fieldSchema.$ref) {
+      flat.push(...flattenSchema(fieldSchema.schema, [...path, ...(isObject ? [] : [[]])]));
     }
-    flat[mapPathToKey(path)] = fieldSchema;
+    flat.push([path, fieldSchema]);
   });
   return flat;
 };
 
 /**
- * used in validateFn below
+ * The type check of a field schema, a list of types passing if any of them does.
+ * Unknown type names fail when compiling the schema
+ */
+const typeChecker = (fieldSchema, registry) => {
+  const { type } = fieldSchema;
+  if (type == null) return () => true;
+  const typeChecks = (Array.isArray(type) ? type : [type]).map((t) => {
+    assert(has(registry.types, t), `unknown type ${t}`);
+    return o => registry.types[t].check(o, fieldSchema);
+  });
+  return typeChecks.length === 1
+    ? typeChecks[0]
+    : o => typeChecks.some(isValidType => isValidType(o));
+};
+
+/**
+ * The severity of the errors of a field for a validator key (or 'required', 'type'...):
+ * its `severity` option is a level for all of them or an object of levels per key,
+ * 'error' by default
+ */
+const fieldSeverity = ({ severity }, k) => {
+  if (typeof severity === 'string') return severity;
+  return (isPlainObject(severity) && severity[k]) || errorSeverities.ERROR;
+};
+
+/**
+ * The errors of a check result, a check may return several of them (see compileUnion)
  */
-const createTypeException = (path, value, type, prefix = []) => new ValidationErrorItem(
-  `Validation type on ${path} failed`,
-  'Validation error',
-  mapPathToKey([...prefix, ...path], true),
+const errorsOf = (result) => {
+  if (result instanceof ValidationErrorItem) return [result];
+  return Array.isArray(result) ? result : [];
+};
+
+const thenResult = (result, fn) => (isPromise(result) ? result.then(fn) : fn(result));
+
+const allResults = results => (results.some(isPromise) ? Promise.all(results) : results);
+
+/**
+ * The errors of two check results as a single result
+ */
+const concatResults = (r1, r2) => thenResult(allResults([r1, r2]), ([e1, e2]) => {
+  const errors = errorsOf(e1).concat(errorsOf(e2));
+  return errors.length ? errors : true;
+});
+
+/**
+ * Run checks and return all their errors,
+ * or a promise of them when some checks are asynchronous
+ */
+const runChecks = checks => thenResult(
+  allResults(checks.map(check => check())),
+  results => results.reduce((errors, result) => errors.concat(errorsOf(result)), []),
+);
+
+/**
+ * used for the anyOf, oneOf and discriminator errors
+ */
+const createUnionException = (
+  key,
+  path,
+  value,
+  args,
+  formatMessage,
+  severity,
+) => new ValidationErrorItem(
+  formatMessage(key, { path, value, args }),
+  errorTypes.VALIDATION,
+  path,
   value,
   null,
-  'type',
-  'type',
-  type,
+  key,
+  key,
+  args,
+  errorOrigins.CORE,
+  severity,
 );
 
+let compileChecks;
+
 /**
- * The internal validate function, it takes the object to validate,
- * a **flat** schema and run validations against it.
+ * Compile the `anyOf` / `oneOf` alternatives of a field schema into a function
+ * checking a value (given its full path and the validation scope) against them,
+ * returning true, the errors, or a promise of one of those.
+ * With a `discriminator` the alternatives are keyed by the value of this key
+ * and the errors are the ones of the selected alternative.
+ * Otherwise a single anyOf (or oneOf) error is returned when no alternative matches
+ * (or more than one for oneOf), with the errors of each one in `branchErrors`
+ */
+const compileUnion = (fieldSchema, formatMessage, registry) => {
+  const key = fieldSchema.oneOf ? 'oneOf' : 'anyOf';
+  const branches = fieldSchema[key];
+  const compileBranch = branch => compileChecks(
+    flattenSchema({ $: branch }),
+    formatMessage,
+    registry,
+  );
+  if (fieldSchema.discriminator) {
+    const getKind = getter([fieldSchema.discriminator]);
+    const kinds = Object.keys(branches);
+    const collectors = kinds.reduce((acc, kind) => ({
+      ...acc,
+      [kind]: compileBranch(branches[kind]),
+    }), {});
+    return (value, path, scope) => {
+      const kind = getKind(value);
+      if (kind == null || !kinds.includes(String(kind))) {
+        const field = formatPath(path, [fieldSchema.discriminator]);
+        return createUnionException(
+          'discriminator',
+          field,
+          kind,
+          kinds,
+          formatMessage,
+          fieldSeverity(fieldSchema, 'discriminator'),
+        );
+      }
+      return thenResult(
+        runChecks(collectors[String(kind)](value, path, [], scope)),
+        errors => (errors.length ? errors : true),
+      );
+    };
+  }
+  const collectors = branches.map(compileBranch);
+  return (value, path, scope) => thenResult(
+    allResults(collectors.map(collect => runChecks(collect(value, path, [], scope)))),
+    (branchErrors) => {
+      // the warnings of a branch don't prevent it from matching, they are reported
+      const matches = branchErrors.filter(errors => !errors.some(isBlocking));
+      if (key === 'anyOf' ? matches.length > 0 : matches.length === 1) {
+        return matches[0].length ? matches[0] : true;
+      }
+      const error = createUnionException(
+        key,
+        formatPath(path, []),
+        value,
+        [],
+        formatMessage,
+        fieldSeverity(fieldSchema, key),
+      );
+      error.branchErrors = branchErrors;
+      return error;
+    },
+  );
+};
+
+/**
+ * The validation scope shared by all the fields of an object,
+ * `rootPrefixLength` being the length of the `prefix` option
+ * (which isn't part of the path from the root)
+ */
+const rootScope = (root, prefix, context, options) => ({
+  root,
+  rootPrefixLength: prefix.length,
+  context,
+  options,
+  // the objects being validated against a definition (see compileRefField)
+  refValues: [],
+});
+
+/**
+ * The context given to custom validators (and `when` predicates) as last argument:
+ * - `root`: the validated (normalized) object
+ * - `parent`: the object (or array) containing the field, null for the root itself
+ * - `path`: the path of the field from the root, with the array indices (ex: ['roles', 1, 'name'])
+ * - `fieldSchema`: the schema of the field
+ * - `context`: the `context` option given to validate (ex: the current user)
+ * - `options`: the validate options
+ * The scope (see rootScope) is the part shared by all the fields
+ */
+const validationContext = (path, prefix, scope, fieldSchema) => {
+  const rootPath = [...prefix, ...path].slice(scope.rootPrefixLength);
+  return {
+    root: scope.root,
+    parent: rootPath.length ? getter(rootPath.slice(0, -1))(scope.root) : null,
+    path: rootPath,
+    fieldSchema,
+    context: scope.context,
+    options: scope.options,
+  };
+};
+
+/**
+ * Compile a field schema into a function taking the object, the prefix
+ * and the validation scope and returning the check of the field
+ */
+const compileField = (path, fieldSchema, formatMessage, registry) => {
+  // a level like 'warn' would turn the errors into warnings silently
+  const severityLevels = Object.values(errorSeverities);
+  if (fieldSchema.severity != null) {
+    const levels = isPlainObject(fieldSchema.severity)
+      ? Object.values(fieldSchema.severity)
+      : [fieldSchema.severity];
+    levels.forEach((level) => {
+      assert(severityLevels.includes(level), `severity should be one of ${severityLevels.join(', ')}`);
+    });
+  }
+  // the sanitizers run when normalizing the value (see normalize.js)
+  sanitizeSteps(fieldSchema.sanitize).forEach((step) => {
+    const [name] = Array.isArray(step) ? step : [step];
+    assert(typeof step === 'function' || has(registry.sanitizers, name), `unknown sanitizer ${name}`);
+  });
+  const fieldFormatMessage = (k, params) => formatMessage(k, params, fieldSchema.messages);
+  const isValidType = typeChecker(fieldSchema, registry);
+  const typeDefinition = (typeof fieldSchema.type === 'string' && registry.types[fieldSchema.type])
+    || {};
+  const typeErrorKey = typeDefinition.key || 'type';
+  const typeErrorArgs = typeDefinition.args ? typeDefinition.args(fieldSchema) : fieldSchema.type;
+  // the default validators of the type come first, the field ones override them
+  const validators = typeDefinition.validate
+    ? { ...typeDefinition.validate, ...fieldSchema.validate }
+    : fieldSchema.validate;
+  const validatorKeys = Object.keys(validators || {});
+  const validatorFns = validators
+    ? schemaToValidators(path, validators, fieldFormatMessage, registry)
+    : [];
+  const severityOf = k => fieldSeverity(fieldSchema, k);
+  const isErrorValidator = (v, i) => severityOf(validatorKeys[i]) === errorSeverities.ERROR;
+  // with the `collectAll` option every failing validator is reported, not only the first one
+  const [firstFailing, allFailing] = [
+    composeValidators(validatorFns.filter(isErrorValidator)),
+    collectValidators(validatorFns.filter(isErrorValidator)),
+  ];
+  // the warnings and infos don't stop the other validators, they all run
+  const advisoryValidators = validatorFns.filter((v, i) => !isErrorValidator(v, i));
+  const allAdvisories = advisoryValidators.length
+    ? collectValidators(advisoryValidators)
+    : null;
+  const withSeverity = result => (!fieldSchema.severity ? result : thenResult(result, (r) => {
+    errorsOf(r).forEach(e => Object.assign(e, { severity: severityOf(e.validatorKey) }));
+    return r;
+  }));
+  const getValue = getter(path);
+  const notNull = fieldSchema.allowNull === false;
+  const nullable = !Object.prototype.hasOwnProperty.call(fieldSchema, 'allowNull')
+    || fieldSchema.allowNull;
+  const checkUnion = (fieldSchema.anyOf || fieldSchema.oneOf)
+    ? compileUnion(fieldSchema, fieldFormatMessage, registry)
+    : null;
+  const needsContext = Object.keys(validators || {})
+    .some(k => registry.takesContext(k, validators));
+
+  return (obj, prefix, scope) => {
+    const value = getValue(obj);
+    const options = (scope && scope.options) || {};
+    const failing = options.collectAll ? allFailing : firstFailing;
+    const fieldvalidator = !allAdvisories ? failing : (o, ...args) => concatResults(
+      failing(o, ...args),
+      allAdvisories(o, ...args),
+    );
+    // with the `partial` option, only the fields present are validated
+    const skipsMissing = !!options.partial;
+    return () => {
+      if (skipsMissing && value === undefined) {
+        return true;
+      }
+      if (notNull && value == null) {
+        const field = formatPath(prefix, path);
+        return new ValidationErrorItem(
+          fieldFormatMessage('required', { path: field, value, args: [] }),
+          errorTypes.NOT_NULL,
+          field,
+          value,
+          null,
+          'required',
+          'required',
+          null,
+          errorOrigins.CORE,
+          severityOf('required'),
+        );
+      }
+      if (nullable && value == null) {
+        return true;
+      }
+      if (!isValidType(value)) {
+        return createTypeException(
+          path,
+          value,
+          typeErrorArgs,
+          prefix,
+          fieldFormatMessage,
+          typeErrorKey,
+          severityOf(typeErrorKey),
+        );
+      }
+      const context = needsContext
+        ? validationContext(path, prefix, scope, fieldSchema)
+        : undefined;
+      const validatorsResult = withSeverity(fieldvalidator(value, prefix, context));
+      if (!checkUnion) return validatorsResult;
+      return thenResult(validatorsResult, result => (
+        errorsOf(result).some(isBlocking)
+          ? result
+          : concatResults(result, checkUnion(value, [...prefix, ...path], scope))
+      ));
+    };
+  };
+};
+
+/**
+ * A field schema with the rules of a `when` branch (`then` or `otherwise`),
+ * its validators and messages being added to the field ones
+ */
+const mergeFieldSchemas = (fieldSchema, rules = {}) => ({
+  ...fieldSchema,
+  ...rules,
+  ...((fieldSchema.validate || rules.validate)
+    ? { validate: { ...fieldSchema.validate, ...rules.validate } }
+    : {}),
+  ...((fieldSchema.messages || rules.messages)
+    ? { messages: { ...fieldSchema.messages, ...rules.messages } }
+    : {}),
+});
+
+/**
+ * Compile the `is` of a `when` condition into a function telling if a value matches it
+ * (or returning a promise of it): `is` can be a predicate function,
+ * a field schema the value must be valid against or a value it must be equal to
+ */
+const compileCondition = (is, formatMessage, registry) => {
+  if (typeof is === 'function') return is;
+  if (isPlainObject(is)) {
+    const collectChecks = compileChecks(flattenSchema({ $: is }), formatMessage, registry);
+    return (value, { context, options }) => thenResult(
+      runChecks(collectChecks(value, [], [], rootScope(value, [], context, options))),
+      errors => !errors.some(isBlocking),
+    );
+  }
+  return value => value === is;
+};
+
+/**
+ * Compile a field schema with a `when: { path, is, then, otherwise }` condition,
+ * `path` being resolved from the object containing the field.
+ * The field is checked with the `then` rules when the value at `path` matches `is`
+ * (given the value and the validation context), the `otherwise` ones if not
+ */
+const compileConditionalField = (path, { when, ...fieldSchema }, formatMessage, registry) => {
+  [when.then, when.otherwise].filter(isPlainObject).forEach((rules) => {
+    const option = Object.keys(rules).find(k => unconditionalOptions.includes(k));
+    assert(!option, `${option} can't depend on a when condition`);
+  });
+  const matches = compileCondition(when.is, formatMessage, registry);
+  const getCondition = getter([...path.slice(0, -1), ...mapKeyToPath(when.path)]);
+  const [thenChecker, otherwiseChecker] = [when.then, when.otherwise].map(rules => compileField(
+    path,
+    mergeFieldSchemas(fieldSchema, rules),
+    formatMessage,
+    registry,
+  ));
+  return (obj, prefix, scope) => () => thenResult(
+    matches(getCondition(obj), validationContext(path, prefix, scope, fieldSchema)),
+    matched => (matched ? thenChecker : otherwiseChecker)(obj, prefix, scope)(),
+  );
+};
+
+/**
+ * The field schema of a definition (see the `definitions` option) referenced
+ * by a `$ref`, the other options of the field overriding the definition ones
+ */
+const resolveRef = ({ $ref, ...fieldSchema }, definitions = {}) => {
+  assert(has(definitions, $ref), `unknown definition ${$ref}`);
+  return { ...definitions[$ref], ...fieldSchema };
+};
+
+/**
+ * Compile a field schema with a `$ref` into a function collecting the checks
+ * of the definition for the value of the field.
+ * The definition is only compiled when a value is validated against it (and then cached),
+ * so that it can reference itself: its nested `$ref` are expanded as deep as the value is,
+ * a value which isn't an object only getting the checks of the field itself.
+ * An object is validated once against a definition when it contains itself
+ */
+const compileRefField = (path, fieldSchema, formatMessage, registry) => {
+  const { definitions = {}, compiledRefs } = registry;
+  resolveRef(fieldSchema, definitions);
+  const getValue = getter(path);
+  const isPureRef = Object.keys(fieldSchema).length === 1;
+  let ownCollectors;
+  const refCollectors = () => {
+    if (isPureRef && compiledRefs[fieldSchema.$ref]) return compiledRefs[fieldSchema.$ref];
+    if (ownCollectors) return ownCollectors;
+    const flatSchema = flattenSchema({ $: resolveRef(fieldSchema, definitions) });
+    const collectors = {
+      all: compileChecks(flatSchema, formatMessage, registry),
+      field: compileChecks(flatSchema.filter(([p]) => !p.length), formatMessage, registry),
+    };
+    if (isPureRef) {
+      compiledRefs[fieldSchema.$ref] = collectors;
+    } else {
+      ownCollectors = collectors;
+    }
+    return collectors;
+  };
+  return (obj, prefix, checks, scope) => {
+    const value = getValue(obj);
+    if (value === null || typeof value !== 'object') {
+      refCollectors().field(value, [...prefix, ...path], checks, scope);
+      return;
+    }
+    if (scope.refValues.includes(value)) return;
+    scope.refValues.push(value);
+    refCollectors().all(value, [...prefix, ...path], checks, scope);
+    scope.refValues.pop();
+  };
+};
+
+/**
+ * Compile a `record` (or `map`) field schema, an object with dynamic keys
+ * (like ids or locale codes), into a function collecting the checks of each of its entries:
+ * the `keys` field schema for the key and the `values` one for the value,
+ * both at the path of the entry (ex: 'translations.fr')
+ */
+const compileRecordField = (path, fieldSchema, formatMessage, registry) => {
+  const { keys, values } = fieldSchema;
+  const getValue = getter(path);
+  // like the elements of a collection, the entries of a record failing its type aren't checked
+  const isValidType = typeChecker(fieldSchema, registry);
+  const checkKey = keys ? compileField([], keys, formatMessage, registry) : null;
+  const collectValueChecks = values
+    ? compileChecks(flattenSchema({ $: values }), formatMessage, registry)
+    : null;
+  return (obj, prefix, checks, scope) => {
+    const record = getValue(obj);
+    if (!isKeyedCollection(record) || !isValidType(record)) return;
+    keysOf(record).forEach((key) => {
+      const entryPrefix = [...prefix, ...path, key];
+      if (checkKey) checks.push(checkKey(key, entryPrefix, scope));
+      if (collectValueChecks) collectValueChecks(childOf(record, key), entryPrefix, checks, scope);
+    });
+  };
+};
+
+/**
+ * The internal function compiling a flat schema (see flattenSchema) into a function
+ * collecting the checks to run against an object: a list of thunks, one per field,
+ * each returning true, a ValidationErrorItem (or a list of them)
+ * or a promise of one of those.
  * If the object contains arrays at any level and corresponding schema definitions
- * it will run those schemas against each array element and aggregate errors.
+ * it will collect checks for each array element.
+ * All the schema analysis is done here once, not for each object.
  * See the examples to have a better idea on how to use.
- * Use the public validate function below
  */
-const validateFn = (obj, schema, prefix = []) => {
-  const [fieldsSchemas, fieldSchemasToRecur] = [[], []];
-  Object.entries(schema).forEach(([key, fieldSchema]) => {
-    const path = mapKeyToPath(key);
-    if (path.find(
-      el => Array.isArray(el) && el.length === 0 && path.length > 1,
-    )
-    ) {
+compileChecks = (
+  flatSchema,
+  formatMessage = defaultFormatMessage,
+  registry = defaultRegistry,
+) => {
+  const [fieldsSchemas, fieldSchemasToRecur, refSchemas, recordSchemas] = [[], [], [], []];
+  flatSchema.forEach(([path, fieldSchema]) => {
+    if (path.some(isArrayMarker)) {
       fieldSchemasToRecur.push([path, fieldSchema]);
+    } else if (fieldSchema.$ref) {
+      refSchemas.push([path, fieldSchema]);
     } else {
       fieldsSchemas.push([path, fieldSchema]);
+      if (recordTypes.includes(fieldSchema.type)) recordSchemas.push([path, fieldSchema]);
     }
   });
-  let errs = [];
-  fieldsSchemas.forEach(([path, fieldSchema]) => {
-    const fieldvalidator = fieldSchema.validate
-      ? composeValidators(
-        schemaToValidators(
-          mapPathToKey([...prefix, ...path], true),
-          fieldSchema.validate,
-        ),
-      )
-      : () => true;
-
-    const value = (Array.isArray(path[0]) && path[0].length === 0) ? obj : getIn(obj, path);
-    let result;
-    if (fieldSchema.allowNull === false && value == null) {
-      result = new ValidationErrorItem(
-        `Validation required on ${path} failed`,
-        'Validation error',
-        mapPathToKey([...prefix, ...path], true),
-        value,
-        null,
-        'required',
-        'required',
-        null,
-      );
-    } else if (
-      (
-        !Object.prototype.hasOwnProperty.call(fieldSchema, 'allowNull')
-        || fieldSchema.allowNull
-      ) && value == null
-    ) {
-      result = true;
-    } else if (
-      (['string', 'text'].includes(fieldSchema.type) && typeof value !== 'string')
-      || (['integer', 'bigint'].includes(fieldSchema.type) && !Number.isInteger(value))
-      || (['float', 'double', 'decimal'].includes(fieldSchema.type) && (typeof value !== 'number' || Number.isNaN(value)))
-      || (fieldSchema.type === 'boolean' && typeof value !== 'boolean')
-      || (fieldSchema.type === 'object' && (typeof value !== 'object' || Array.isArray(value)))
-      || (fieldSchema.type === 'array' && !Array.isArray(value))
-    ) {
-      result = createTypeException(path, value, fieldSchema.type, prefix);
-    } else {
-      result = fieldvalidator(value);
-    }
-    if (result instanceof ValidationErrorItem) {
-      errs = [...errs, result];
-    }
-  });
-  fieldSchemasToRecur.forEach(([path, fieldSchema]) => {
-    const arrIndex = path.findIndex(el => Array.isArray(el) && el.length === 0);
-    const pathBeforeArr = path.slice(0, arrIndex);
-    const pathAfterArr = path.slice(arrIndex + 1);
-    const arr = getIn(obj, pathBeforeArr);
-    if (arr && arr.length) {
-      arr.forEach((el, i) => {
-        const arrErrs = validateFn(
-          el,
-          { [mapPathToKey(pathAfterArr) || '$']: fieldSchema },
-          [...prefix, ...pathBeforeArr, i],
-        );
-        if (arrErrs.length > 0) {
-          errs = [...errs, ...arrErrs];
+  const fieldsCheckers = fieldsSchemas.map(([path, fieldSchema]) => (fieldSchema.when
+    ? compileConditionalField(path, fieldSchema, formatMessage, registry)
+    : compileField(path, fieldSchema, formatMessage, registry)));
+  const refCheckers = refSchemas.map(([path, fieldSchema]) => compileRefField(
+    path,
+    fieldSchema,
+    formatMessage,
+    registry,
+  ));
+  const recordCheckers = recordSchemas.map(([path, fieldSchema]) => compileRecordField(
+    path,
+    fieldSchema,
+    formatMessage,
+    registry,
+  ));
+  // the type check of the collection at a path, when its field is in the schema
+  const collectionChecker = (collectionPath) => {
+    const collection = flatSchema.find(([path]) => isSamePath(path, collectionPath));
+    return collection ? typeChecker(collection[1], registry) : () => true;
+  };
+  const recurCheckers = fieldSchemasToRecur.map(([path, fieldSchema]) => {
+    // a level per [] of the path, ex: ['grid', [], [], 'x'] has the grid array
+    // and the arrays of the grid, their elements only being checked
+    // when they have the type of their field (an Immutable List under 'array' doesn't)
+    const arrIndices = path.reduce((acc, p, i) => (isArrayMarker(p) ? [...acc, i] : acc), []);
+    const levels = arrIndices.map((arrIndex, k) => {
+      const pathBeforeArr = path.slice(k ? arrIndices[k - 1] + 1 : 0, arrIndex);
+      return {
+        pathBeforeArr,
+        getArr: getter(pathBeforeArr),
+        isValidType: collectionChecker(path.slice(0, arrIndex)),
+      };
+    });
+    const collectElementChecks = compileChecks(
+      [[path.slice(arrIndices[arrIndices.length - 1] + 1), fieldSchema]],
+      formatMessage,
+      registry,
+    );
+    const collectLevelChecks = (k, obj, prefix, checks, scope) => {
+      const { pathBeforeArr, getArr, isValidType } = levels[k];
+      const arr = getArr(obj);
+      if (!isIndexedCollection(arr) || !isValidType(arr)) return;
+      elementsOf(arr).forEach((el, i) => {
+        const elPrefix = [...prefix, ...pathBeforeArr, i];
+        if (k + 1 < levels.length) {
+          collectLevelChecks(k + 1, el, elPrefix, checks, scope);
+        } else {
+          collectElementChecks(el, elPrefix, checks, scope);
         }
       });
+    };
+    return (obj, prefix, checks, scope) => collectLevelChecks(0, obj, prefix, checks, scope);
+  });
+  return (obj, prefix = [], checks = [], scope = rootScope(obj, prefix)) => {
+    fieldsCheckers.forEach(fieldChecker => checks.push(fieldChecker(obj, prefix, scope)));
+    recurCheckers.forEach(recurChecker => recurChecker(obj, prefix, checks, scope));
+    recordCheckers.forEach(recordChecker => recordChecker(obj, prefix, checks, scope));
+    refCheckers.forEach(refChecker => refChecker(obj, prefix, checks, scope));
+    return checks;
+  };
+};
+
+/**
+ * The errors failing the validation (at most `maxErrors`)
+ * and the warnings (with the infos) found by the checks
+ */
+const splitErrors = (found, maxErrors = Infinity) => ({
+  errors: found.filter(isBlocking).slice(0, maxErrors),
+  warnings: found.filter(e => !isBlocking(e)),
+});
+
+/**
+ * The internal validate function, it runs the checks synchronously
+ * and returns `{ errors, warnings }`, stopping once `maxErrors` errors are found.
+ * Use the public validate function below
+ */
+const validateFn = (checks, { maxErrors = Infinity } = {}) => {
+  const found = [];
+  let errorsCount = 0;
+  checks.every((check) => {
+    const result = check();
+    if (isPromise(result)) {
+      // avoid an unhandled rejection, the caller is told to use validateAsync
+      result.catch(() => {});
+      throw new Error('a validator returned a promise, use validateAsync instead');
     }
+    found.push(...errorsOf(result));
+    errorsCount += errorsOf(result).filter(isBlocking).length;
+    return errorsCount < maxErrors;
   });
-  return errs;
+  return splitErrors(found, maxErrors);
 };
 
 /**
- * The exposed validate function.
- * It takes the object to validate and the schema with optional nested definitions
- * for objects and arrays and returns true of throw a errors map.
+ * The asynchronous counterpart of validateFn, checks (fields and array elements)
+ * run concurrently, at most `concurrency` at the same time
  */
-const validate = (obj, schema = {}, prefix = []) => {
+const validateFnAsync = (checks, { maxErrors = Infinity, concurrency } = {}) => {
+  let errorsCount = 0;
+  return runConcurrently(
+    checks,
+    concurrency,
+    (result) => {
+      errorsCount += errorsOf(result).filter(isBlocking).length;
+      return errorsCount >= maxErrors;
+    },
+  ).then(results => splitErrors(
+    results.reduce((found, result) => found.concat(errorsOf(result)), []),
+    maxErrors,
+  ));
+};
+
+/**
+ * The entries of a flat schema (see flattenSchema) for the value at a path,
+ * with the array indices of the path instead of the [] markers,
+ * ex: "roles.2" => [[["roles", "2", "name"], {...}], [["roles", "2"], {...}]]
+ * With `parentRules`, the schema of the object containing the value is kept too
+ * (only its own rules, like its `$` validators, not the ones of its other fields)
+ */
+const flatSchemaAt = (flatSchema, path, parentRules = false) => {
+  const isIndex = p => /^\d+$/.test(String(p));
+  const matches = (fieldPath, length) => fieldPath.length >= length
+    && path.slice(0, length).every((p, i) => (isArrayMarker(fieldPath[i])
+      ? isIndex(p)
+      : String(fieldPath[i]) === String(p)));
+  const atPath = fieldPath => [...path, ...fieldPath.slice(path.length)];
+  const flat = flatSchema
+    .filter(([fieldPath]) => matches(fieldPath, path.length))
+    .map(([fieldPath, fieldSchema]) => [atPath(fieldPath), fieldSchema]);
+  assert(flat.length, `no schema at path ${mapPathToKey(path)}`);
+  if (!parentRules || !path.length) return flat;
+  const parentPath = path.slice(0, -1);
+  return flat.concat(flatSchema
+    .filter(([fieldPath]) => fieldPath.length === parentPath.length
+      && matches(fieldPath, parentPath.length))
+    .map(([, fieldSchema]) => [parentPath, fieldSchema]));
+};
+
+/**
+ * The options can be given as an object or directly as the prefix array
+ * (used when validating from within a custom validator)
+ */
+const parseOptions = options => (
+  Array.isArray(options) ? { prefix: options } : { prefix: [], ...options }
+);
+
+const assertSchema = (schema, { unknownKeys = 'allow', definitions = {} }) => {
+  assert(schema && typeof schema === 'object', 'schema should be valid');
+  // a definition which is only a reference to itself (maybe through others) has no end
+  Object.keys(definitions).forEach((name) => {
+    const seen = [];
+    let definition = definitions[name];
+    while (definition && definition.$ref) {
+      assert(!seen.includes(definition.$ref), `circular definition ${name}`);
+      seen.push(definition.$ref);
+      definition = definitions[definition.$ref];
+    }
+  });
+  assert(
+    unknownKeysModes.includes(unknownKeys),
+    `unknownKeys should be one of ${unknownKeysModes.join(', ')}`,
+  );
+};
+
+const assertObject = (obj) => {
   assert(
     obj && typeof obj === 'object',
     'object to validate should be an object or an array',
   );
-  assert(schema && typeof schema === 'object', 'schema should be valid');
-  const errors = validateFn(obj, flattenSchema(schema), prefix);
-  if (errors.length) throw new ValidationErrors(errors);
-  return true;
 };
 
+/**
+ * The internal compile function (see compile below) given the registry
+ * and the default messages of a validator instance (see createValidator)
+ */
+const compileSchema = (schema, options, { registry, messages }, at = null) => {
+  const compileOptions = parseOptions(options);
+  assertSchema(schema, compileOptions);
+  const { dev = process.env.NODE_ENV === 'development', definitions } = compileOptions;
+  if (dev) {
+    const schemaErrors = checkSchemaWith(schema, registry, definitions).filter(e => !e.hint);
+    if (schemaErrors.length) throw new SchemaErrors(schemaErrors);
+  }
+  const formatMessage = createMessageFormatter({
+    ...compileOptions,
+    messages: { ...messages, ...compileOptions.messages },
+  });
+  // the definitions compiled so far (see compileRefField)
+  const schemaRegistry = { ...registry, definitions, compiledRefs: {} };
+  // validateAt only validates the value at a path
+  const atPath = at == null || Array.isArray(at) ? at : mapKeyToPath(at);
+  const flatSchema = atPath
+    ? flatSchemaAt(flattenSchema(schema), atPath, compileOptions.parentRules)
+    : flattenSchema(schema);
+  const collectChecks = compileChecks(flatSchema, formatMessage, schemaRegistry);
+  const normalizes = needsNormalize(schema, compileOptions);
+  const isUnderPath = path => !atPath || atPath.every((p, i) => String(p) === String(path[i]));
+
+  /**
+   * Normalize the input (see normalize.js) and collect the checks to run against it,
+   * including the unknown keys found when `unknownKeys` is 'reject'
+   */
+  const prepare = (obj, runtimeOptions) => {
+    assertObject(obj);
+    const runtime = { ...compileOptions, ...parseOptions(runtimeOptions) };
+    const {
+      prefix,
+      abortEarly,
+      maxErrors,
+      concurrency,
+      context,
+    } = runtime;
+    const unknownKeyChecks = [];
+    const value = !normalizes ? obj : normalize(obj, schema, {
+      ...compileOptions,
+      partial: runtime.partial,
+      types: registry.types,
+      sanitizers: registry.sanitizers,
+      onUnknownKey: (path, v, knownKeys) => isUnderPath(path) && unknownKeyChecks.push(
+        () => createUnknownKeyException([...prefix, ...path], v, knownKeys, formatMessage),
+      ),
+    });
+    const checks = collectChecks(value, prefix, [], rootScope(value, prefix, context, runtime));
+    checks.push(...unknownKeyChecks);
+    return {
+      value,
+      checks,
+      runOptions: { maxErrors: abortEarly ? 1 : maxErrors, concurrency },
+    };
+  };
+
+  const safeValidateCompiled = (obj, runtimeOptions = {}) => {
+    const { value, checks, runOptions } = prepare(obj, runtimeOptions);
+    const { errors, warnings } = validateFn(checks, runOptions);
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      value,
+    };
+  };
+
+  const validateCompiled = (obj, runtimeOptions = {}) => {
+    const { errors, warnings } = safeValidateCompiled(obj, runtimeOptions);
+    if (errors.length) throw new ValidationErrors(errors, warnings);
+    return true;
+  };
+
+  const safeValidateAsyncCompiled = (obj, runtimeOptions = {}) => Promise.resolve()
+    .then(() => {
+      const { value, checks, runOptions } = prepare(obj, runtimeOptions);
+      return validateFnAsync(checks, runOptions).then(({ errors, warnings }) => ({
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        value,
+      }));
+    });
+
+  const validateAsyncCompiled = (obj, runtimeOptions = {}) => safeValidateAsyncCompiled(
+    obj,
+    runtimeOptions,
+  ).then(({ errors, warnings }) => {
+    if (errors.length) throw new ValidationErrors(errors, warnings);
+    return true;
+  });
+
+  return Object.assign(validateCompiled, {
+    safeValidate: safeValidateCompiled,
+    validateAsync: validateAsyncCompiled,
+    safeValidateAsync: safeValidateAsyncCompiled,
+  });
+};
+
+/**
+ * Create an independent validator instance, with its own registry of named validators
+ * and types added to the default ones (see validator-extras.js), and its own default messages:
+ * - `validators`: `{ isSlug: (value, ...args, context) => boolean }`, used like
+ * the validator.js ones (`validate: { isSlug: true }`) but getting the raw value
+ * and the validation context as last argument
+ * - `types`: `{ slug: { check, coerce, validate } }` (see types.js) used for `type: 'slug'`,
+ * a function being the `check` of the type
+ * - `sanitizers`: `{ slugify: (value, ...args) => value }`, used by name in the `sanitize`
+ * option of the fields like the validator.js ones (`sanitize: ['trim', 'slugify']`)
+ * - `messages`: messages per validator key, overriding the locale catalogs
+ * Returns `{ checkSchema, compile, validate, safeValidate, validateAsync, safeValidateAsync,
+ * validateAt }`
+ */
+const createValidator = ({
+  validators,
+  types: customTypes,
+  sanitizers,
+  messages,
+} = {}) => {
+  const instance = {
+    registry: (validators || customTypes || sanitizers)
+      ? createRegistry({ validators, types: customTypes, sanitizers })
+      : defaultRegistry,
+    messages,
+  };
+
+  /**
+   * Compile a schema once into a validator function, all the schema analysis
+   * (flattening, building the validators...) being done here instead of on each call.
+   * It takes the schema and the same options as validate.
+   * The returned function validates an object like validate does (returns true or throws),
+   * it also has the `safeValidate`, `validateAsync` and `safeValidateAsync` methods.
+   * They all take the object to validate, and optionally the prefix
+   * or the `prefix`, `abortEarly`, `maxErrors`, `concurrency` and `context` options
+   */
+  const compile = (schema = {}, options = {}) => compileSchema(schema, options, instance);
+
+  /**
+   * Check a schema against the schema of schemas (see check-schema.js),
+   * with the `definitions` option if it references some,
+   * returns the list of errors as `{ path, keyword, message }`
+   */
+  const checkSchema = (schema, { definitions } = {}) => checkSchemaWith(
+    schema,
+    instance.registry,
+    definitions,
+  );
+
+  /**
+   * The non-throwing validate function, it takes the same arguments as validate
+   * and returns `{ valid, errors, warnings, value }`, value being the normalized copy
+   * of the input which has been validated (see the `coerce` option
+   * and the `defaultValue` field option), or the input itself
+   * when there is nothing to normalize
+   */
+  const safeValidate = (obj, schema = {}, options = {}) => compile(schema, options)
+    .safeValidate(obj, options);
+
+  /**
+   * The exposed validate function.
+   * It takes the object to validate and the schema with optional nested definitions
+   * for objects and arrays and returns true of throw a errors map.
+   * Options:
+   * - `locale` selects the default messages catalog ('en' or 'fr'),
+   * `messages` overrides messages of this catalog per validator key
+   * - `abortEarly` stops at the first error, `maxErrors` caps the number of errors
+   * - `coerce` converts scalars to the field type before validation
+   * (like "42" to 42 for an integer), use safeValidate to get the converted value
+   * - `unknownKeys` handles object keys missing from the schema at every level:
+   * 'allow' (default), 'reject' (an error per key) or 'strip' (removed from the value),
+   * nested object and array schemas can override it with their own `unknownKeys`
+   * - `context` is given to custom validators along with the root object, the parent object,
+   * the path and the schema of the field (see validationContext)
+   * - `dev` checks the schema first (see checkSchema) and throws SchemaErrors if it's invalid,
+   * enabled by default when NODE_ENV is 'development'
+   * - `definitions` names field schemas referenced by `{ $ref: 'Comment' }` fields,
+   * a definition can reference itself (like the replies of a comment)
+   * - `partial` only validates the fields present in the object (for PATCH payloads):
+   * `allowNull: false` is ignored for missing fields and default values aren't filled
+   * - `collectAll` reports every failing validator of a field instead of only the first one
+   */
+  const validate = (obj, schema = {}, options = {}) => compile(schema, options)(obj, options);
+
+  /**
+   * Validate only the value at a path of the object (like 'roles.2.name' or ['roles', 2, 'name'])
+   * against its schema, the nested schemas of arrays being located with the indices of the path.
+   * Takes the same options as validate, plus `parentRules` to also run the rules
+   * of the object containing the value (its `$` validators).
+   * Returns true or throws the errors like validate
+   */
+  const validateAt = (obj, path, schema = {}, options = {}) => compileSchema(
+    schema,
+    options,
+    instance,
+    path,
+  )(obj, options);
+
+  /**
+   * The asynchronous counterpart of safeValidate,
+   * resolves with `{ valid, errors, warnings, value }`.
+   * Options: same as validate, plus `concurrency` limiting the number of
+   * fields / array elements validated at the same time (unlimited by default)
+   */
+  const safeValidateAsync = (obj, schema = {}, options = {}) => Promise.resolve()
+    .then(() => compile(schema, options).safeValidateAsync(obj, options));
+
+  /**
+   * Same as validate but supports validators returning promises,
+   * resolves with true or rejects with the errors map.
+   */
+  const validateAsync = (obj, schema = {}, options = {}) => Promise.resolve()
+    .then(() => compile(schema, options).validateAsync(obj, options));
+
+  return {
+    checkSchema,
+    compile,
+    safeValidate,
+    safeValidateAsync,
+    validate,
+    validateAsync,
+    validateAt,
+  };
+};
+
+/**
+ * The default instance, using the shared validator object
+ * (extended with `validator.extend`)
+ */
+const {
+  checkSchema,
+  compile,
+  safeValidate,
+  safeValidateAsync,
+  validate,
+  validateAsync,
+  validateAt,
+} = createValidator();
+
 module.exports = {
+  SchemaErrors,
   ValidationErrors,
   ValidationErrorItem,
   allowedKeys,
+  checkSchema,
+  compile,
+  createValidator,
+  deepPartial,
+  extend,
+  fromJsonSchema,
+  generateTypes,
   mapPathToKey,
   mapKeyToPath,
+  merge,
+  omit,
+  partial,
+  pick,
+  required,
+  safeValidate,
+  safeValidateAsync,
+  toJsonSchema,
   validate,
+  validateAsync,
+  validateAt,
+  validator,
 };
@@ -64,10 +64,26 @@ const extensions = {
 };
 exports.extensions = extensions;
 
-/** Instance based validators */
-validator.isImmutable = function(value, validatorArgs, field, modelInstance) {
-  return modelInstance.isNewRecord || modelInstance.dataValues[field] === modelInstance._previousDataValues[field];
+/**
+ * Instance based validators, they receive the validation context as last argument
+ * (see validationContext in validate.js).
+ * isImmutable compares the value with the one at the same path of the `previous` record
+ * given in the `context` option, a new record (without previous) passes
+ */
+validator.isImmutable = function(value, { path, context }) {
+  const previous = context && context.previous;
+  return !previous || _.isEqual(value, _.get(previous, path));
 };
+const contextValidators = ['isImmutable'];
+
+/**
+ * The validator.js sanitizers, usable by name in the `sanitize` option of a field
+ * (see createRegistry in validate.js)
+ */
+const sanitizers = [
+  'blacklist', 'escape', 'ltrim', 'normalizeEmail', 'rtrim', 'stripLow',
+  'toBoolean', 'toDate', 'toFloat', 'toInt', 'trim', 'unescape', 'whitelist',
+];
 
 // Deprecate this.
 validator.notNull = function() {
@@ -100,5 +116,7 @@ validator.isDate = function(dateString) {
 };
 
 module.exports = {
+  contextValidators,
+  sanitizers,
   validator
 }
@@ -0,0 +1,287 @@
+const assert = require('assert');
+const {
+  SchemaErrors,
+  checkSchema,
+  createValidator,
+  validate,
+} = require('../src/validate');
+
+const userSchema = {
+  email: {
+    allowNull: false,
+    type: 'string',
+    validate: {
+      isEmail: true,
+      len: [3, 50],
+    },
+  },
+  status: {
+    type: 'enum',
+    values: ['ACTIVE', 'BANNED'],
+  },
+  roles: {
+    type: 'array',
+    schema: {
+      name: {
+        validate: {
+          isIn: [['ADMIN', 'USER']],
+          matches: /^[A-Z]+$/,
+        },
+      },
+      $: {
+        validate: {
+          allowedKeys: ['name'],
+        },
+      },
+    },
+  },
+  payment: {
+    discriminator: 'kind',
+    oneOf: {
+      card: { type: 'object', schema: { number: { validate: { isCreditCard: true } } } },
+    },
+  },
+  vatNumber: {
+    when: { path: 'country', is: 'FR', then: { allowNull: false } },
+  },
+  $: {
+    validate: {
+      hasContact: ({ email, phone }) => !!(email || phone),
+    },
+  },
+};
+
+const paths = errors => errors.map(({ path, keyword }) => [path, keyword]);
+
+describe('checkSchema', () => {
+  it('should accept a valid schema', () => {
+    assert.deepEqual(checkSchema(userSchema), []);
+  });
+
+  it('should report unknown options with a suggestion', () => {
+    const errors = checkSchema({
+      email: { allownull: false, valdiate: { isEmail: true } },
+    });
+    assert.deepEqual(paths(errors), [
+      ['email.allownull', 'allownull'],
+      ['email.valdiate', 'valdiate'],
+    ]);
+    assert.equal(errors[0].message, 'unknown option allownull (did you mean allowNull?)');
+    assert.equal(errors[1].message, 'unknown option valdiate (did you mean validate?)');
+  });
+
+  it('should report unknown validators which are not functions', () => {
+    const errors = checkSchema({
+      roles: { type: 'array', schema: { name: { validate: { isEmial: true } } } },
+    });
+    assert.deepEqual(paths(errors), [['roles.schema.name.validate.isEmial', 'validate']]);
+    assert.equal(
+      errors[0].message,
+      'unknown validator isEmial (did you mean isEmail?), custom validators must be functions',
+    );
+  });
+
+  it('should report wrong validator arguments', () => {
+    const errors = checkSchema({
+      name: { validate: { len: ['3'], isIn: ['ADMIN', 'USER'], matches: 42 } },
+      tags: { type: 'array', validate: { size: [1, 2, 3] } },
+    });
+    assert.deepEqual(paths(errors), [
+      ['name.validate.len', 'validate'],
+      ['name.validate.isIn', 'validate'],
+      ['name.validate.matches', 'validate'],
+      ['tags.validate.size', 'validate'],
+    ]);
+    assert.equal(errors[1].message, 'isIn expects a list, like [["a", "b"]]');
+  });
+
+  it('should report unknown severity levels', () => {
+    const errors = checkSchema({
+      password: { validate: { len: [8, 100] }, severity: { len: 'warning' } },
+      phone: { severity: 'warn' },
+      nickname: { severity: { type: 'fatal' } },
+    });
+    assert.deepEqual(paths(errors), [['phone.severity', 'severity'], ['nickname.severity', 'severity']]);
+    assert.equal(
+      errors[0].message,
+      'severity must be one of error, warning, info or an object of them per validator key',
+    );
+  });
+
+  it('should report unknown sanitizers', () => {
+    const errors = checkSchema({
+      email: { sanitize: ['trim', 'normalizeEmial', value => value] },
+      name: { sanitize: [['blacklist', '<>'], [42]] },
+      slug: { sanitize: 'slugify' },
+    });
+    assert.deepEqual(paths(errors), [
+      ['email.sanitize.1', 'sanitize'],
+      ['name.sanitize', 'sanitize'],
+      ['slug.sanitize', 'sanitize'],
+    ]);
+    assert.equal(errors[0].message, 'unknown sanitizer normalizeEmial (did you mean normalizeEmail?)');
+  });
+
+  it('should report invalid types and nested schemas', () => {
+    const errors = checkSchema({
+      name: { type: 'strng' },
+      status: { type: 'enum' },
+      settings: { type: 'object', locale: { type: 'string' } },
+      tags: { schema: { $: { type: 'string' } } },
+      owner: { allowNull: 'no', unknownKeys: 'drop' },
+    });
+    assert.deepEqual(paths(errors), [
+      ['name.type', 'type'],
+      ['status.values', 'values'],
+      ['settings.locale', 'locale'],
+      ['settings.schema', 'schema'],
+      ['tags.schema', 'schema'],
+      ['owner.allowNull', 'allowNull'],
+      ['owner.unknownKeys', 'unknownKeys'],
+    ]);
+    assert.equal(errors[0].message, 'unknown type strng (did you mean string?)');
+    assert.equal(
+      errors[2].message,
+      'unknown option locale, the fields of an object go in its schema',
+    );
+  });
+
+  it('should check unions and conditions', () => {
+    const errors = checkSchema({
+      contact: { anyOf: [{ validate: { isEmial: true } }] },
+      payment: { discriminator: 'kind', oneOf: [{ type: 'object' }] },
+      vatNumber: { when: { path: 'country', then: { alowNull: false } } },
+    });
+    assert.deepEqual(paths(errors), [
+      ['contact.anyOf.0.validate.isEmial', 'validate'],
+      ['payment.oneOf', 'oneOf'],
+      ['vatNumber.when.then.alowNull', 'alowNull'],
+    ]);
+  });
+
+  it('should report the options which can\'t depend on a condition', () => {
+    const errors = checkSchema({
+      address: {
+        type: 'object',
+        schema: { zip: {} },
+        when: {
+          path: 'country',
+          is: 'FR',
+          then: { schema: { zip: { allowNull: false } } },
+          otherwise: { defaultValue: {}, sanitize: 'trim' },
+        },
+      },
+    });
+    assert.deepEqual(paths(errors), [
+      ['address.when.then.schema', 'when'],
+      ['address.when.otherwise.defaultValue', 'when'],
+      ['address.when.otherwise.sanitize', 'when'],
+    ]);
+    assert.equal(errors[0].message, 'schema can\'t depend on a when condition');
+  });
+
+  it('should check the keys and values of records', () => {
+    const errors = checkSchema({
+      translations: { type: 'record', keys: { validate: { matchs: '^[a-z]{2}$' } }, values: {} },
+      tags: { type: 'object', values: { type: 'string' } },
+    });
+    assert.deepEqual(paths(errors), [
+      ['translations.keys.validate.matchs', 'validate'],
+      ['tags.values', 'values'],
+      ['tags.schema', 'schema'],
+    ]);
+  });
+
+  it('should hint at an object without schema', () => {
+    const errors = checkSchema({ settings: { type: 'object' } });
+    assert.deepEqual(errors, [{
+      path: 'settings.schema',
+      keyword: 'schema',
+      message: 'an object without schema accepts any fields, its fields go in its schema',
+      hint: true,
+    }]);
+    assert.equal(validate({ settings: {} }, { settings: { type: 'object' } }, { dev: true }), true);
+  });
+
+  it('should not suggest the unknown name itself', () => {
+    const errors = checkSchema({ name: { validate: { toString: true } } });
+    assert.equal(
+      errors[0].message,
+      'unknown validator toString (did you mean isString?), custom validators must be functions',
+    );
+  });
+
+  it('should know the validators and types of a validator instance', () => {
+    const instance = createValidator({
+      validators: { isSlug: value => /^[a-z-]+$/.test(value) },
+      types: { slug: value => typeof value === 'string' },
+    });
+    const schema = { slug: { type: 'slug', validate: { isSlug: true } } };
+    assert.deepEqual(instance.checkSchema(schema), []);
+    assert.deepEqual(paths(checkSchema(schema)), [
+      ['slug.type', 'type'],
+      ['slug.validate.isSlug', 'validate'],
+    ]);
+  });
+});
+
+describe('development mode', () => {
+  const typoSchema = { email: { allownull: false } };
+
+  it('should throw the schema errors with the dev option', () => {
+    assert.equal(validate({}, typoSchema), true);
+    assert.throws(
+      () => validate({}, typoSchema, { dev: true }),
+      (e) => {
+        assert(e instanceof SchemaErrors);
+        assert.deepEqual(paths(e.errors), [['email.allownull', 'allownull']]);
+        assert.equal(
+          e.message,
+          'invalid schema: email.allownull: unknown option allownull (did you mean allowNull?)',
+        );
+        return true;
+      },
+    );
+  });
+
+  it('should be enabled when NODE_ENV is development', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    try {
+      assert.throws(() => validate({}, typoSchema), SchemaErrors);
+      assert.equal(validate({}, typoSchema, { dev: false }), true);
+    } finally {
+      if (nodeEnv === undefined) {
+        delete process.env.NODE_ENV;
+      } else {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    }
+  });
+});
+
+describe('checkSchema with definitions', () => {
+  it('should check the references and the definitions', () => {
+    const errors = checkSchema({
+      comment: { $ref: 'Coment' },
+    }, {
+      definitions: { Comment: { type: 'objct' } },
+    });
+    assert.deepEqual(paths(errors), [
+      ['comment.$ref', '$ref'],
+      ['definitions.Comment.type', 'type'],
+    ]);
+    assert.equal(errors[0].message, 'unknown definition Coment (did you mean Comment?)');
+  });
+
+  it('should accept self references', () => {
+    const definitions = {
+      Comment: {
+        type: 'object',
+        schema: { replies: { type: 'array', schema: { $: { $ref: 'Comment' } } } },
+      },
+    };
+    assert.deepEqual(checkSchema({ $: { $ref: 'Comment' } }, { definitions }), []);
+    assert.equal(validate({}, { $: { $ref: 'Comment' } }, { definitions, dev: true }), true);
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, readRecords, run } = require('../src/cli');
+
+const output = () => {
+  const written = [];
+  return { write: (s) => { written.push(s); }, text: () => written.join('') };
+};
+
+describe('command line', () => {
+  let cwd;
+
+  const writeFiles = files => Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(cwd, name), content);
+  });
+
+  const runIn = (argv) => {
+    const stdout = output();
+    const stderr = output();
+    return run(argv, { cwd, stdout, stderr })
+      .then(code => ({ code, stdout: stdout.text(), stderr: stderr.text() }));
+  };
+
+  before(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-data-tree-'));
+    writeFiles({
+      'schema.js': `module.exports = {
+        email: { type: 'string', allowNull: false, validate: { isEmail: true } },
+        age: { type: 'integer', validate: { min: 18 } },
+        nickname: { type: 'string', severity: 'warning', validate: { len: [3, 20] } },
+      };`,
+      'schemas.json': JSON.stringify({ user: { name: { type: 'string', allowNull: false } } }),
+      'valid.json': JSON.stringify({ email: 'a@b.co', age: 20 }),
+      'invalid.json': '{\n  "email": "nope",\n  "age": 12\n}\n',
+      'broken.json': '{\n  "email": "a@b.co"\n  "age": 12\n}\n',
+      'users.ndjson': [
+        '{"email": "a@b.co"}',
+        '',
+        '{"email": "nope"}',
+        '{"email": ',
+        '{"email": "c@d.co", "nickname": "x"}',
+      ].join('\n'),
+      'users.yaml': 'email: a@b.co\n---\nemail: nope\nage: 12\n',
+      'users.txt': 'email: a@b.co',
+    });
+  });
+
+  after(() => {
+    // fs.rmSync and the recursive rmdirSync need Node 12.10 or later
+    fs.readdirSync(cwd).forEach(name => fs.unlinkSync(path.join(cwd, name)));
+    fs.rmdirSync(cwd);
+  });
+
+  it('should parse the arguments', () => {
+    assert.deepEqual(
+      parseArgs(['-s', 'schema.js', '--format=json', '--coerce', 'a.json', 'b.yaml']),
+      {
+        format: 'json',
+        schema: 'schema.js',
+        coerce: true,
+        files: ['a.json', 'b.yaml'],
+      },
+    );
+    assert.throws(() => parseArgs(['a.json']), /missing the --schema module/);
+    assert.throws(() => parseArgs(['-s', 'schema.js']), /missing the files to validate/);
+    assert.throws(() => parseArgs(['-s', 'schema.js', '-f', 'xml', 'a.json']), /the format must be one of text, json/);
+    assert.throws(() => parseArgs(['-s', 'schema.js', '--nope', 'a.json']), /unknown option --nope/);
+    assert.throws(() => parseArgs(['-s', 'schema.js', 'a.json', '--type']), /missing value for --type/);
+  });
+
+  it('should read the records of JSON, YAML and NDJSON files', () => {
+    assert.deepEqual(readRecords('{"a": 1}', 'json'), [{ line: null, record: null, value: { a: 1 } }]);
+    assert.deepEqual(readRecords('{"a": 1}\n\n[2]\n', 'ndjson'), [
+      { line: 1, record: null, value: { a: 1 } },
+      { line: 3, record: null, value: [2] },
+    ]);
+    assert.deepEqual(readRecords('a: 1\n---\nb: 2\n', 'yaml'), [
+      { line: null, record: 1, value: { a: 1 } },
+      { line: null, record: 2, value: { b: 2 } },
+    ]);
+    const [{ line, parseError }] = readRecords('a: 1\nb: [2\n', 'yaml');
+    assert.equal(line, 3);
+    assert(parseError.startsWith('invalid YAML'));
+  });
+
+  it('should exit with 0 when the files are valid', () => runIn(['-s', 'schema.js', 'valid.json'])
+    .then(({ code, stdout }) => {
+      assert.equal(code, 0);
+      assert.equal(stdout, '1 file valid\n');
+    }));
+
+  it('should report the errors with their file, line and path', () => runIn([
+    '--schema', 'schema.js', 'valid.json', 'invalid.json', 'users.ndjson', 'users.yaml',
+  ]).then(({ code, stdout }) => {
+    assert.equal(code, 1);
+    const lines = stdout.split('\n');
+    // the message of the JSON syntax errors depends on the Node version
+    assert(lines[3].startsWith('users.ndjson:4: error: invalid JSON: '));
+    assert.deepEqual([...lines.slice(0, 3), ...lines.slice(4)], [
+      'invalid.json: error: email: email must be a valid email address (isEmail)',
+      'invalid.json: error: age: age must be greater than or equal to 18 (min)',
+      'users.ndjson:3: error: email: email must be a valid email address (isEmail)',
+      'users.ndjson:5: warning: nickname: nickname must have a length between 3 and 20 (len)',
+      'users.yaml (record 2): error: email: email must be a valid email address (isEmail)',
+      'users.yaml (record 2): error: age: age must be greater than or equal to 18 (min)',
+      '6 errors in 3 of 4 files, 1 warning',
+      '',
+    ]);
+  }));
+
+  it('should report the errors as JSON', () => runIn([
+    '-s', 'schema.js', '-f', 'json', 'broken.json', 'users.ndjson',
+  ]).then(({ code, stdout }) => {
+    assert.equal(code, 1);
+    const report = JSON.parse(stdout);
+    assert.equal(report.valid, false);
+    assert.deepEqual(
+      report.errors.map(({ file, line, path: p }) => [file, line, p]),
+      [['broken.json', 3, null], ['users.ndjson', 3, 'email'], ['users.ndjson', 4, null]],
+    );
+    assert.equal(report.errors[1].validatorKey, 'isEmail');
+    assert.deepEqual(report.warnings.map(({ line, path: p }) => [line, p]), [[5, 'nickname']]);
+  }));
+
+  it('should load a named export of the schema module', () => runIn([
+    '-s', 'schemas.json', '--export', 'user', '--type', 'yaml', 'users.txt',
+  ]).then(({ code, stdout }) => {
+    assert.equal(code, 1);
+    assert.equal(stdout.split('\n')[0], 'users.txt: error: name: name is required (required)');
+  }));
+
+  it('should report the files which can\'t be read', () => runIn([
+    '-s', 'schema.js', 'missing.json', 'users.txt',
+  ]).then(({ code, stdout }) => {
+    assert.equal(code, 1);
+    const [missing, unknown] = stdout.split('\n');
+    assert(missing.startsWith('missing.json: error: can\'t read the file'));
+    assert.equal(unknown, 'users.txt: error: unknown file type, use the --type option');
+  }));
+
+  it('should exit with 2 on a usage error', () => runIn(['-s', 'schema.js', '--format', 'xml', 'valid.json'])
+    .then(({ code, stdout, stderr }) => {
+      assert.equal(code, 2);
+      assert.equal(stdout, '');
+      assert(stderr.startsWith('validate-data-tree: the format must be one of text, json\n\nUsage:'));
+    }));
+});
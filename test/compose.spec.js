@@ -0,0 +1,129 @@
+const assert = require('assert');
+const { safeValidate } = require('../src/validate');
+const {
+  deepPartial,
+  extend,
+  merge,
+  omit,
+  partial,
+  pick,
+  required,
+} = require('../src/compose');
+
+const userSchema = {
+  email: { type: 'string', allowNull: false, validate: { isEmail: true } },
+  password: { type: 'string', allowNull: false },
+  settings: {
+    type: 'object',
+    allowNull: false,
+    schema: {
+      locale: { type: 'string', allowNull: false },
+      secret: { type: 'string' },
+      $: { validate: { allowedKeys: ['locale', 'secret'] } },
+    },
+  },
+  'settings.theme': { type: 'string' },
+  roles: {
+    type: 'array',
+    schema: {
+      name: { type: 'string', allowNull: false },
+      until: { type: 'date' },
+    },
+  },
+  $: { validate: { allowedKeys: ['email', 'password', 'settings', 'roles'] } },
+};
+
+const fieldsOf = schema => Object.keys(schema);
+
+const allowedKeysOf = schema => schema.$.validate.allowedKeys;
+
+describe('schema composition', () => {
+  it('should omit fields, nested ones too', () => {
+    const publicUser = omit(userSchema, ['password', 'settings.secret', 'roles.until']);
+    assert.deepEqual(fieldsOf(publicUser), ['email', 'settings', 'settings.theme', 'roles', '$']);
+    assert.deepEqual(allowedKeysOf(publicUser), ['email', 'settings', 'roles']);
+    assert.deepEqual(fieldsOf(publicUser.settings.schema), ['locale', '$']);
+    assert.deepEqual(allowedKeysOf(publicUser.settings.schema), ['locale']);
+    assert.deepEqual(fieldsOf(publicUser.roles.schema), ['name']);
+    assert.deepEqual(fieldsOf(omit(userSchema, ['settings'])), ['email', 'password', 'roles', '$']);
+    // the schemas given aren't mutated
+    assert.deepEqual(allowedKeysOf(userSchema), ['email', 'password', 'settings', 'roles']);
+    assert(userSchema.settings.schema.secret);
+  });
+
+  it('should pick fields, nested ones too', () => {
+    const picked = pick(userSchema, ['email', 'settings.locale', 'settings.theme']);
+    assert.deepEqual(fieldsOf(picked), ['email', 'settings', 'settings.theme', '$']);
+    assert.deepEqual(allowedKeysOf(picked), ['email', 'settings']);
+    assert.deepEqual(fieldsOf(picked.settings.schema), ['locale', '$']);
+    assert.deepEqual(allowedKeysOf(picked.settings.schema), ['locale']);
+    assert.strictEqual(safeValidate({ email: 'a@b.co', password: 'x' }, picked).valid, false);
+  });
+
+  it('should reject the paths which aren\'t in the schema', () => {
+    assert.throws(() => pick(userSchema, ['emial']), /no field at path emial/);
+    assert.throws(() => omit(userSchema, ['settings.nope']), /no field at path settings.nope/);
+    assert.throws(() => partial(userSchema, ['roles.name.first']), /no field at path roles.name.first/);
+  });
+
+  it('should extend a schema', () => {
+    const createUser = extend(userSchema, {
+      passwordConfirmation: { type: 'string', allowNull: false },
+      'settings.timezone': { type: 'string' },
+      email: { type: 'string', allowNull: false },
+    });
+    assert.deepEqual(createUser.email, { type: 'string', allowNull: false });
+    assert.deepEqual(
+      allowedKeysOf(createUser),
+      ['email', 'password', 'settings', 'roles', 'passwordConfirmation'],
+    );
+    assert.deepEqual(allowedKeysOf(createUser.settings.schema), ['locale', 'secret', 'timezone']);
+    assert(safeValidate({
+      email: 'a@b.co',
+      password: 'x',
+      passwordConfirmation: 'x',
+      settings: { locale: 'fr', timezone: 'Europe/Paris' },
+    }, createUser).valid);
+  });
+
+  it('should make fields optional or required', () => {
+    const updateUser = partial(userSchema);
+    assert(fieldsOf(userSchema).filter(k => k !== '$').every(k => updateUser[k].allowNull === true));
+    assert.deepEqual(updateUser.$, userSchema.$);
+    assert.equal(safeValidate({ settings: { locale: 'fr' }, roles: [{}] }, updateUser).errors.length, 1);
+    const withoutPassword = partial(userSchema, ['password', 'settings.locale']);
+    assert(safeValidate({ email: 'a@b.co', settings: {} }, withoutPassword).valid);
+
+    const strict = required(userSchema, ['roles', 'roles.until']);
+    assert.strictEqual(strict.roles.allowNull, false);
+    assert.strictEqual(strict.roles.schema.until.allowNull, false);
+    assert.strictEqual(strict.settings.schema.secret.allowNull, undefined);
+  });
+
+  it('should make the nested fields optional with deepPartial', () => {
+    const updateUser = deepPartial(userSchema);
+    assert.strictEqual(updateUser.settings.schema.locale.allowNull, true);
+    assert.strictEqual(updateUser.roles.schema.name.allowNull, true);
+    assert.deepEqual(updateUser.settings.schema.$, userSchema.settings.schema.$);
+    assert(safeValidate({ settings: {}, roles: [{}] }, updateUser).valid);
+  });
+
+  it('should deeply merge schemas', () => {
+    const merged = merge(userSchema, {
+      email: { validate: { len: [3, 50] } },
+      settings: { type: 'object', schema: { newsletter: { type: 'boolean' } } },
+      age: { type: 'integer' },
+    }, {
+      $: { validate: { hasContact: ({ email }) => !!email } },
+    });
+    assert.deepEqual(merged.email, {
+      type: 'string',
+      allowNull: false,
+      validate: { isEmail: true, len: [3, 50] },
+    });
+    assert.deepEqual(fieldsOf(merged.settings.schema), ['locale', 'secret', '$', 'newsletter']);
+    assert.deepEqual(allowedKeysOf(merged.settings.schema), ['locale', 'secret', 'newsletter']);
+    assert.deepEqual(allowedKeysOf(merged), ['email', 'password', 'settings', 'roles', 'age']);
+    assert.equal(typeof merged.$.validate.hasContact, 'function');
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { generateTypes } = require('../src/generate-types');
+
+describe('generateTypes', () => {
+  it('should generate the interface of a schema', () => {
+    const schema = {
+      email: { type: 'string', allowNull: false, validate: { isEmail: true } },
+      age: { type: 'integer' },
+      status: { type: 'enum', values: ['ACTIVE', 'BANNED'], allowNull: false },
+      'first-name': { type: 'string' },
+      settings: {
+        type: 'object',
+        schema: {
+          locale: { type: 'string', allowNull: false },
+        },
+      },
+      'settings.theme': { type: 'string' },
+      roles: {
+        type: 'array',
+        allowNull: false,
+        schema: { $: { type: 'string', allowNull: false } },
+      },
+      scores: { type: 'record', values: { type: 'float', allowNull: false } },
+      extra: {},
+    };
+    assert.equal(generateTypes(schema, { name: 'User' }), [
+      'export interface User {',
+      '  email: string;',
+      '  age?: number | null;',
+      '  status: "ACTIVE" | "BANNED";',
+      '  "first-name"?: string | null;',
+      '  settings?: {',
+      '    locale: string;',
+      '  } | null;',
+      '  roles: Array<string>;',
+      '  scores?: { [key: string]: number } | null;',
+      '  extra?: unknown;',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('should generate the types of the definitions and of the value schemas', () => {
+    const definitions = {
+      Category: {
+        type: 'object',
+        schema: {
+          name: { type: 'string', allowNull: false },
+          children: { type: 'array', schema: { $: { $ref: 'Category' } } },
+        },
+      },
+    };
+    const schema = { $: { type: ['string', 'integer'] } };
+    assert.equal(generateTypes(schema, { definitions }), [
+      'export type Category = {',
+      '  name: string;',
+      '  children?: Array<Category | null> | null;',
+      '} | null;',
+      '',
+      'export type Schema = string | number;',
+      '',
+    ].join('\n'));
+  });
+});
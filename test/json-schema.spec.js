@@ -0,0 +1,467 @@
+const assert = require('assert');
+const { safeValidate } = require('../src/validate');
+const { fromJsonSchema, toJsonSchema } = require('../src/json-schema');
+
+const userSchema = {
+  email: {
+    allowNull: false,
+    type: 'string',
+    validate: {
+      isEmail: true,
+      len: [3, 50],
+    },
+  },
+  age: {
+    type: 'integer',
+    allowNull: true,
+    validate: {
+      min: 18,
+      max: 130,
+    },
+  },
+  country: {
+    allowNull: true,
+    defaultValue: 'FR',
+    validate: {
+      isIn: [['FR', 'US']],
+    },
+  },
+  settings: {
+    type: 'object',
+    allowNull: false,
+    schema: {
+      locale: {
+        type: 'string',
+        allowNull: false,
+        validate: {
+          matches: '^[a-z]{2}$',
+        },
+      },
+      $: {
+        validate: {
+          allowedKeys: ['locale', 'theme'],
+        },
+      },
+    },
+  },
+  roles: {
+    type: 'array',
+    allowNull: false,
+    validate: {
+      size: [1, 5],
+    },
+    schema: {
+      $: {
+        type: 'string',
+        validate: {
+          isUppercase: true,
+        },
+      },
+    },
+  },
+  $: {
+    validate: {
+      oneOf: ({ email, phone }) => email || phone,
+    },
+  },
+};
+
+const expectedJsonSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  properties: {
+    email: {
+      type: 'string',
+      format: 'email',
+      minLength: 3,
+      maxLength: 50,
+    },
+    age: {
+      type: ['integer', 'null'],
+      minimum: 18,
+      maximum: 130,
+    },
+    country: {
+      default: 'FR',
+      enum: ['FR', 'US'],
+    },
+    settings: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        locale: {
+          type: 'string',
+          pattern: '^[a-z]{2}$',
+        },
+        theme: {},
+      },
+      required: ['locale'],
+    },
+    roles: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 5,
+      items: {
+        type: 'string',
+      },
+    },
+  },
+  required: ['email', 'settings', 'roles'],
+};
+
+describe('toJsonSchema', () => {
+  it('should convert a schema', () => {
+    const { jsonSchema } = toJsonSchema(userSchema);
+    assert.deepEqual(jsonSchema, expectedJsonSchema);
+  });
+
+  it('should warn about what can\'t be expressed', () => {
+    const { warnings } = toJsonSchema(userSchema);
+    assert.deepEqual(warnings.map(({ path, validator }) => [path, validator]), [
+      ['$', 'oneOf'],
+      ['roles.[]', 'isUppercase'],
+    ]);
+  });
+
+  it('should move repeated keywords to allOf', () => {
+    const { jsonSchema, warnings } = toJsonSchema({
+      code: {
+        validate: {
+          matches: '^[A-Z]',
+          not: '[0-9]$',
+          isAlpha: true,
+        },
+      },
+      flagged: {
+        validate: {
+          matches: ['^[a-z]+$', 'i'],
+        },
+      },
+    });
+    assert.deepEqual(jsonSchema.properties.code, {
+      pattern: '^[A-Z]',
+      not: { pattern: '[0-9]$' },
+      allOf: [{ pattern: '^[A-Za-z]+$' }],
+    });
+    assert.deepEqual(warnings.map(w => w.path), ['flagged']);
+  });
+
+  it('should convert arrays of objects and nullable objects', () => {
+    const { jsonSchema } = toJsonSchema({
+      roles: {
+        type: 'array',
+        unknownKeys: 'reject',
+        schema: {
+          name: {
+            type: 'string',
+            allowNull: false,
+          },
+        },
+      },
+    });
+    assert.deepEqual(jsonSchema.properties.roles, {
+      type: ['array', 'null'],
+      additionalProperties: false,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+        },
+        required: ['name'],
+      },
+    });
+  });
+});
+
+describe('fromJsonSchema', () => {
+  it('should convert a JSON schema', () => {
+    const { schema, warnings } = fromJsonSchema(expectedJsonSchema);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(schema, {
+      email: {
+        allowNull: false,
+        type: 'string',
+        validate: {
+          isEmail: true,
+          len: [3, 50],
+        },
+      },
+      age: {
+        allowNull: true,
+        type: 'integer',
+        validate: {
+          min: 18,
+          max: 130,
+        },
+      },
+      country: {
+        allowNull: true,
+        defaultValue: 'FR',
+        type: 'enum',
+        values: ['FR', 'US'],
+      },
+      settings: {
+        allowNull: false,
+        type: 'object',
+        schema: {
+          locale: {
+            allowNull: false,
+            type: 'string',
+            validate: {
+              matches: '^[a-z]{2}$',
+            },
+          },
+          theme: {
+            allowNull: true,
+          },
+          $: {
+            validate: {
+              allowedKeys: ['locale', 'theme'],
+            },
+          },
+        },
+      },
+      roles: {
+        allowNull: false,
+        type: 'array',
+        validate: {
+          size: [1, 5],
+        },
+        schema: {
+          $: {
+            allowNull: false,
+            type: 'string',
+          },
+        },
+      },
+    });
+  });
+
+  it('should validate the same way after a round trip', () => {
+    const { schema } = fromJsonSchema(toJsonSchema(userSchema).jsonSchema);
+    const inputs = [
+      { email: 'a@b.co', settings: { locale: 'fr' }, roles: ['ADMIN'] },
+      { email: 'nope', settings: { locale: 'fr', extra: 1 }, roles: [] },
+      {
+        email: 'a@b.co',
+        age: 12,
+        country: 'DE',
+        settings: { locale: 'FRA' },
+        roles: [1],
+      },
+    ];
+    inputs.forEach((input) => {
+      const paths = ({ errors }) => errors.map(e => [e.path, e.validatorName]);
+      const expected = paths(safeValidate(input, userSchema)).map(([path]) => path);
+      const actual = paths(safeValidate(input, schema)).map(([path]) => path);
+      assert.deepEqual(actual, expected);
+    });
+  });
+
+  it('should compare the enum and const values themselves', () => {
+    const { schema } = fromJsonSchema({
+      type: 'object',
+      properties: {
+        n: { type: 'integer', enum: [0, 1] },
+        f: { const: false },
+      },
+    });
+    assert.deepEqual(schema.n, { allowNull: true, type: 'enum', values: [0, 1] });
+    assert.deepEqual(schema.f, { allowNull: true, type: 'enum', values: [false] });
+    assert.equal(safeValidate({ n: 0, f: false }, schema).valid, true);
+    const { schema: roundTrip } = fromJsonSchema(toJsonSchema(schema).jsonSchema);
+    assert.equal(safeValidate({ n: 0, f: false }, roundTrip).valid, true);
+    assert.deepEqual(
+      safeValidate({ n: '0', f: 'false' }, roundTrip).errors.map(e => e.path),
+      ['n', 'f'],
+    );
+  });
+
+  it('should warn about unsupported keywords', () => {
+    const { schema, warnings } = fromJsonSchema({
+      type: 'object',
+      properties: {
+        id: { type: ['string', 'uuid'] },
+        codes: { type: 'array', uniqueItems: true },
+        tags: {
+          type: 'object',
+          properties: { main: { type: 'string' } },
+          additionalProperties: { type: 'string' },
+        },
+      },
+    });
+    assert.deepEqual(warnings.map(({ path, keyword }) => [path, keyword]), [
+      ['id', 'type'],
+      ['codes', 'uniqueItems'],
+      ['tags', 'additionalProperties'],
+    ]);
+    assert.deepEqual(schema.id, { allowNull: true });
+  });
+});
+
+describe('JSON Schema unions', () => {
+  const unionSchema = {
+    id: {
+      allowNull: false,
+      type: ['string', 'integer'],
+    },
+    contact: {
+      anyOf: [
+        { validate: { isEmail: true } },
+        { type: 'string', validate: { len: [10, 10] } },
+      ],
+    },
+    payment: {
+      allowNull: false,
+      discriminator: 'kind',
+      oneOf: {
+        card: {
+          type: 'object',
+          schema: {
+            number: { allowNull: false, type: 'string' },
+          },
+        },
+        iban: {
+          type: 'object',
+          schema: {
+            kind: { type: 'string' },
+            iban: { allowNull: false, type: 'string' },
+          },
+        },
+      },
+    },
+  };
+
+  const expectedProperties = {
+    id: { type: ['string', 'integer'] },
+    contact: {
+      anyOf: [
+        { format: 'email' },
+        { type: 'string', minLength: 10, maxLength: 10 },
+      ],
+    },
+    payment: {
+      oneOf: [
+        {
+          type: 'object',
+          properties: {
+            number: { type: 'string' },
+            kind: { const: 'card' },
+          },
+          required: ['number', 'kind'],
+        },
+        {
+          type: 'object',
+          properties: {
+            kind: { type: ['string', 'null'], const: 'iban' },
+            iban: { type: 'string' },
+          },
+          required: ['iban', 'kind'],
+        },
+      ],
+    },
+  };
+
+  it('should convert type lists, alternatives and discriminated unions', () => {
+    const { jsonSchema, warnings } = toJsonSchema(unionSchema);
+    assert.deepEqual(jsonSchema.properties, expectedProperties);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('should import them back', () => {
+    const { schema, warnings } = fromJsonSchema({
+      type: 'object',
+      properties: expectedProperties,
+      required: ['id', 'payment'],
+    });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(schema.id, { allowNull: false, type: ['string', 'integer'] });
+    assert.deepEqual(schema.contact.anyOf, [
+      { validate: { isEmail: true } },
+      { type: 'string', validate: { len: [10, 10] } },
+    ]);
+    assert.equal(schema.payment.discriminator, 'kind');
+    assert.deepEqual(Object.keys(schema.payment.oneOf), ['card', 'iban']);
+    assert.deepEqual(schema.payment.oneOf.iban.schema.kind, { allowNull: true, type: 'string' });
+  });
+
+  it('should validate the same way after a round trip', () => {
+    const { schema } = fromJsonSchema(toJsonSchema(unionSchema).jsonSchema);
+    const inputs = [
+      { id: 1, contact: 'a@b.co', payment: { kind: 'card', number: '4111' } },
+      { id: true, contact: 'nope', payment: { kind: 'iban' } },
+      { id: 'a', payment: { kind: 'cash' } },
+    ];
+    inputs.forEach((input) => {
+      const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+      assert.deepEqual(paths(safeValidate(input, schema)), paths(safeValidate(input, unionSchema)));
+    });
+  });
+});
+
+describe('JSON Schema definitions', () => {
+  const definitions = {
+    Comment: {
+      type: 'object',
+      allowNull: false,
+      schema: {
+        body: { allowNull: false, type: 'string' },
+        replies: { type: 'array', schema: { $: { $ref: 'Comment' } } },
+      },
+    },
+  };
+  const postSchema = { comment: { $ref: 'Comment' } };
+
+  it('should convert the definitions to $defs', () => {
+    const { jsonSchema, warnings } = toJsonSchema(postSchema, { definitions });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(jsonSchema.properties.comment, { $ref: '#/$defs/Comment' });
+    assert.deepEqual(jsonSchema.$defs.Comment.properties.replies.items, {
+      $ref: '#/$defs/Comment',
+    });
+    assert.deepEqual(jsonSchema.$defs.Comment.required, ['body']);
+  });
+
+  it('should import them back', () => {
+    const { jsonSchema } = toJsonSchema(postSchema, { definitions });
+    const imported = fromJsonSchema(jsonSchema);
+    assert.deepEqual(imported.warnings, []);
+    assert.deepEqual(imported.schema.comment, { allowNull: true, $ref: 'Comment' });
+    assert.deepEqual(imported.definitions.Comment.schema.replies.schema, {
+      $: { allowNull: false, $ref: 'Comment' },
+    });
+    const input = { comment: { body: 'a', replies: [{ body: 'b', replies: [{}] }] } };
+    const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+    assert.deepEqual(
+      paths(safeValidate(input, imported.schema, { definitions: imported.definitions })),
+      [['comment.replies.0.replies.0.body', 'required']],
+    );
+  });
+});
+
+describe('JSON Schema records', () => {
+  const recordSchema = {
+    translations: {
+      type: 'record',
+      allowNull: false,
+      keys: { validate: { matches: '^[a-z]{2}$' } },
+      values: { type: 'string', allowNull: false },
+    },
+  };
+
+  it('should convert records to additionalProperties and propertyNames', () => {
+    const { jsonSchema, warnings } = toJsonSchema(recordSchema);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(jsonSchema.properties.translations, {
+      type: 'object',
+      propertyNames: { type: 'string', pattern: '^[a-z]{2}$' },
+      additionalProperties: { type: 'string' },
+    });
+  });
+
+  it('should import them back', () => {
+    const { schema, warnings } = fromJsonSchema(toJsonSchema(recordSchema).jsonSchema);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(schema.translations, recordSchema.translations);
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { validate, validateAsync } = require('../src/validate');
+const { catalogs, interpolate } = require('../src/messages');
+
+const schema = {
+  username: {
+    allowNull: false,
+    type: 'string',
+    validate: {
+      len: [5, 50],
+    },
+  },
+  age: {
+    type: 'integer',
+  },
+  email: {
+    validate: {
+      isEmail: true,
+    },
+    messages: {
+      isEmail: 'Please give a valid email instead of {value}',
+    },
+  },
+  nickname: {
+    validate: {
+      notAdmin: o => o !== 'admin',
+    },
+    messages: {
+      notAdmin: ({ path, value }) => `${path} cannot be "${value}"`,
+    },
+  },
+};
+
+const messagesOf = (obj, options) => {
+  try {
+    validate(obj, schema, options);
+  } catch (e) {
+    return e.errors.map(err => err.message);
+  }
+  return [];
+};
+
+describe('interpolate', () => {
+  it('should replace placeholders', () => {
+    assert.equal(
+      interpolate('{path} ({value}) must be between {args.0} and {args.1}: {args}', {
+        path: 'roles.0.name',
+        value: 'a',
+        args: [3, 50],
+      }),
+      'roles.0.name (a) must be between 3 and 50: 3, 50',
+    );
+  });
+
+  it('should format non array args and object values', () => {
+    assert.equal(
+      interpolate('{path} {value} {args}', { path: '$', value: { a: 1 }, args: 'object' }),
+      '$ {"a":1} object',
+    );
+  });
+});
+
+describe('error messages', () => {
+  it('should use the english catalog by default', () => {
+    assert.deepEqual(
+      messagesOf({ age: 'old' }),
+      ['username is required', 'age must be of type integer'],
+    );
+    assert.deepEqual(
+      messagesOf({ username: 'abc' }),
+      ['username must have a length between 5 and 50'],
+    );
+  });
+
+  it('should use the message catalog of the locale', () => {
+    assert.deepEqual(
+      messagesOf({ age: 'old' }, { locale: 'fr' }),
+      ['username est obligatoire', 'age doit être de type integer'],
+    );
+  });
+
+  it('should use the field messages first', () => {
+    assert.deepEqual(
+      messagesOf({ username: 'cyppan', email: 'nope', nickname: 'admin' }, { locale: 'fr' }),
+      ['Please give a valid email instead of nope', 'nickname cannot be "admin"'],
+    );
+  });
+
+  it('should use the messages option over the catalog', () => {
+    assert.deepEqual(
+      messagesOf({}, { locale: 'fr', messages: { required: 'Le champ {path} est requis' } }),
+      ['Le champ username est requis'],
+    );
+  });
+
+  it('should fallback to the default message for custom validators', () => {
+    assert.throws(
+      () => validate({ k: 'v' }, { k: { validate: { custom: () => false } } }, { locale: 'fr' }),
+      errs => errs.errors[0].message === 'La validation custom de k a échoué',
+    );
+  });
+
+  it('should format the full path of array elements', () => {
+    assert.throws(
+      () => validate(
+        { roles: [{ name: 'ADMIN' }, {}] },
+        { roles: { type: 'array', schema: { name: { allowNull: false } } } },
+      ),
+      errs => errs.errors[0].message === 'roles.1.name is required',
+    );
+  });
+
+  it('should format messages in validateAsync', () => validateAsync(
+    { username: 'abc' },
+    schema,
+    { locale: 'fr' },
+  ).then(() => assert.fail('should have rejected'), (errs) => {
+    assert.equal(errs.errors[0].message, 'username doit avoir une longueur comprise entre 5 et 50');
+  }));
+
+  it('should have the same keys in every catalog', () => {
+    assert.deepEqual(Object.keys(catalogs.fr).sort(), Object.keys(catalogs.en).sort());
+  });
+});
@@ -0,0 +1,200 @@
+const assert = require('assert');
+const http = require('http');
+const express = require('express');
+const Koa = require('koa');
+const { createValidator } = require('../src/validate');
+const { koaValidateRequest, validateRequest } = require('../src/middleware');
+
+const schemas = {
+  query: {
+    page: { type: 'integer', defaultValue: 1, validate: { min: 1 } },
+  },
+  headers: {
+    'x-api-key': { allowNull: false },
+  },
+  body: {
+    email: { allowNull: false, validate: { isEmail: true } },
+  },
+};
+
+/**
+ * Send a JSON request to a local server and resolve with `{ status, type, body }`
+ */
+const request = (server, method, path, { body, headers = {} } = {}) => new Promise(
+  (resolve, reject) => {
+    const req = http.request({
+      port: server.address().port,
+      method,
+      path,
+      headers: { 'content-type': 'application/json', ...headers },
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        type: res.headers['content-type'],
+        body: data ? JSON.parse(data) : null,
+      }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  },
+);
+
+const listen = handler => new Promise((resolve) => {
+  const server = http.createServer(handler).listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+/**
+ * A koa body parser for the tests, koa doesn't parse bodies itself
+ */
+const koaJsonBody = (ctx, next) => new Promise((resolve) => {
+  let data = '';
+  ctx.req.setEncoding('utf8');
+  ctx.req.on('data', (chunk) => { data += chunk; });
+  ctx.req.on('end', () => resolve(data));
+}).then((data) => {
+  ctx.request.body = data ? JSON.parse(data) : undefined;
+  return next();
+});
+
+describe('express validateRequest', () => {
+  let server;
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.post('/users', validateRequest(schemas, { coerce: true, assign: true }), (req, res) => {
+      res.json({ page: req.query.page, email: req.body.email });
+    });
+    app.post('/custom', validateRequest(schemas, {
+      coerce: true,
+      status: 422,
+      formatError: errors => ({ fields: errors.toFlatMap() }),
+    }), (req, res) => res.json({ page: req.query.page || null }));
+    app.post('/strict', validateRequest(schemas, { unknownKeys: 'reject' }), (req, res) => {
+      res.json({ email: req.body.email });
+    });
+    app.post('/stripped', validateRequest(schemas, { unknownKeys: 'strip', assign: true }), (req, res) => {
+      res.json({ body: req.body, host: !!req.headers.host });
+    });
+    return listen(app).then((s) => { server = s; });
+  });
+
+  after(() => close(server));
+
+  it('should pass the valid requests with the validated values', () => request(
+    server,
+    'POST',
+    '/users?page=3',
+    { body: { email: 'a@b.co' }, headers: { 'x-api-key': 'key' } },
+  ).then(({ status, body }) => {
+    assert.equal(status, 200);
+    assert.deepEqual(body, { page: 3, email: 'a@b.co' });
+  }));
+
+  it('should respond with the problem details of invalid requests', () => request(
+    server,
+    'POST',
+    '/users?page=-1',
+    { body: { email: 'nope' } },
+  ).then(({ status, type, body }) => {
+    assert.equal(status, 400);
+    assert(type.startsWith('application/problem+json'));
+    assert.equal(body.instance, '/users?page=-1');
+    assert.deepEqual(body['invalid-params'].map(({ name, validator }) => [name, validator]), [
+      ['query.page', 'min'],
+      ['headers.x-api-key', 'required'],
+      ['body.email', 'isEmail'],
+    ]);
+  }));
+
+  it('should use the status and error formatter given', () => request(
+    server,
+    'POST',
+    '/custom?page=2',
+    { body: {}, headers: { 'x-api-key': 'key' } },
+  ).then(({ status, type, body }) => {
+    assert.equal(status, 422);
+    assert(type.startsWith('application/json'));
+    assert.deepEqual(body, { fields: { 'body.email': ['required'] } });
+  }));
+
+  it('should leave the request untouched without the assign option', () => request(
+    server,
+    'POST',
+    '/custom?page=2',
+    { body: { email: 'a@b.co' }, headers: { 'x-api-key': 'key' } },
+  ).then(({ status, body }) => {
+    assert.equal(status, 200);
+    assert.deepEqual(body, { page: '2' });
+  }));
+
+  it('should not apply unknownKeys to the headers', () => Promise.all([
+    request(server, 'POST', '/strict', {
+      body: { email: 'a@b.co', role: 'ADMIN' },
+      headers: { 'x-api-key': 'key' },
+    }).then(({ status, body }) => {
+      assert.equal(status, 400);
+      assert.deepEqual(body['invalid-params'].map(({ name }) => name), ['body.role']);
+    }),
+    request(server, 'POST', '/stripped', {
+      body: { email: 'a@b.co', role: 'ADMIN' },
+      headers: { 'x-api-key': 'key' },
+    }).then(({ status, body }) => {
+      assert.equal(status, 200);
+      assert.deepEqual(body, { body: { email: 'a@b.co' }, host: true });
+    }),
+  ]));
+});
+
+describe('koa validateRequest', () => {
+  let server;
+
+  before(() => {
+    const app = new Koa();
+    const validator = createValidator({
+      validators: { isApiKey: value => value === 'key' },
+    });
+    app.use(koaJsonBody);
+    app.use(koaValidateRequest({
+      ...schemas,
+      headers: { 'x-api-key': { allowNull: false, validate: { isApiKey: true } } },
+    }, { coerce: true, assign: true, validator }));
+    app.use((ctx) => {
+      ctx.body = { page: ctx.query.page, email: ctx.request.body.email };
+    });
+    return listen(app.callback()).then((s) => { server = s; });
+  });
+
+  after(() => close(server));
+
+  it('should pass the valid requests with the validated values', () => request(
+    server,
+    'POST',
+    '/users',
+    { body: { email: 'a@b.co' }, headers: { 'x-api-key': 'key' } },
+  ).then(({ status, body }) => {
+    assert.equal(status, 200);
+    assert.deepEqual(body, { page: 1, email: 'a@b.co' });
+  }));
+
+  it('should respond with the problem details of invalid requests', () => request(
+    server,
+    'POST',
+    '/users?page=x',
+    { headers: { 'x-api-key': 'nope' } },
+  ).then(({ status, type, body }) => {
+    assert.equal(status, 400);
+    assert(type.startsWith('application/problem+json'));
+    assert.equal(body.status, 400);
+    assert.deepEqual(body['invalid-params'].map(({ name, validator }) => [name, validator]), [
+      ['query.page', 'type'],
+      ['headers.x-api-key', 'isApiKey'],
+      ['body.email', 'required'],
+    ]);
+  }));
+});
@@ -0,0 +1,342 @@
+const assert = require('assert');
+const {
+  createValidator,
+  safeValidate,
+  safeValidateAsync,
+  validate,
+} = require('../src/validate');
+const { coerceValue, normalize } = require('../src/normalize');
+
+const querySchema = {
+  page: {
+    type: 'integer',
+    defaultValue: 1,
+  },
+  ratio: {
+    type: 'float',
+    allowNull: true,
+  },
+  active: {
+    type: 'boolean',
+    allowNull: false,
+  },
+  since: {
+    type: 'date',
+    allowNull: true,
+  },
+  filters: {
+    type: 'object',
+    defaultValue: () => ({}),
+    schema: {
+      tags: {
+        type: 'array',
+        defaultValue: [],
+        schema: {
+          $: {
+            type: 'string',
+          },
+        },
+      },
+    },
+  },
+  roles: {
+    type: 'array',
+    allowNull: true,
+    schema: {
+      level: {
+        type: 'integer',
+        defaultValue: 0,
+      },
+    },
+  },
+};
+
+describe('coerceValue', () => {
+  it('should coerce numeric strings', () => {
+    assert.strictEqual(coerceValue('42', 'integer'), 42);
+    assert.strictEqual(coerceValue(' -3 ', 'integer'), -3);
+    assert.strictEqual(coerceValue('4.2', 'integer'), '4.2');
+    assert.strictEqual(coerceValue('4.2', 'float'), 4.2);
+    assert.strictEqual(coerceValue('', 'float'), '');
+  });
+
+  it('should coerce booleans', () => {
+    assert.strictEqual(coerceValue('true', 'boolean'), true);
+    assert.strictEqual(coerceValue('0', 'boolean'), false);
+    assert.strictEqual(coerceValue('yes', 'boolean'), 'yes');
+  });
+
+  it('should coerce strings and dates', () => {
+    assert.strictEqual(coerceValue(42, 'string'), '42');
+    assert.equal(coerceValue('2019-12-05T16:42:40.069Z', 'date').toISOString(), '2019-12-05T16:42:40.069Z');
+    assert.strictEqual(coerceValue('not a date', 'date'), 'not a date');
+  });
+
+  it('should leave nullsy values and unknown types untouched', () => {
+    assert.strictEqual(coerceValue(null, 'integer'), null);
+    assert.strictEqual(coerceValue(undefined, 'boolean'), undefined);
+    assert.strictEqual(coerceValue('42', 'object'), '42');
+  });
+});
+
+describe('normalize', () => {
+  it('should fill defaults without mutating the input', () => {
+    const input = { active: true, roles: [{}] };
+    const value = normalize(input, querySchema);
+    assert.deepEqual(value, {
+      page: 1,
+      active: true,
+      filters: { tags: [] },
+      roles: [{ level: 0 }],
+    });
+    assert.deepEqual(input, { active: true, roles: [{}] });
+  });
+
+  it('should not share default values between outputs', () => {
+    const v1 = normalize({}, querySchema);
+    const v2 = normalize({}, querySchema);
+    assert.notStrictEqual(v1.filters, v2.filters);
+    assert.notStrictEqual(v1.filters.tags, v2.filters.tags);
+  });
+
+  it('should only coerce with the coerce option', () => {
+    assert.strictEqual(normalize({ page: '2' }, querySchema).page, '2');
+    assert.strictEqual(normalize({ page: '2' }, querySchema, { coerce: true }).page, 2);
+  });
+
+  it('should normalize the fields of dotted keys at their path', () => {
+    const schema = {
+      'settings.locale': { defaultValue: 'en' },
+      'settings.size': { type: 'integer' },
+      'roles.[].level': { type: 'integer', defaultValue: 0 },
+    };
+    const input = { settings: { size: '12' }, roles: [{}, { level: '2' }] };
+    assert.deepEqual(normalize(input, schema, { coerce: true }), {
+      settings: { locale: 'en', size: 12 },
+      roles: [{ level: 0 }, { level: 2 }],
+    });
+    assert.deepEqual(input, { settings: { size: '12' }, roles: [{}, { level: '2' }] });
+    // the missing parents aren't created
+    assert.deepEqual(normalize({}, schema), {});
+    const { valid, value } = safeValidate({ settings: { size: '3' } }, schema, { coerce: true });
+    assert.equal(valid, true);
+    assert.deepEqual(value, { settings: { locale: 'en', size: 3 } });
+  });
+});
+
+describe('validate with coercion', () => {
+  it('should return the coerced value', () => {
+    const { valid, errors, value } = safeValidate(
+      {
+        page: '2',
+        ratio: '0.5',
+        active: 'true',
+        since: '2019-12-05',
+        filters: { tags: [1, 'b'] },
+      },
+      querySchema,
+      { coerce: true },
+    );
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+    assert.strictEqual(value.page, 2);
+    assert.strictEqual(value.ratio, 0.5);
+    assert.strictEqual(value.active, true);
+    assert(value.since instanceof Date);
+    assert.deepEqual(value.filters.tags, ['1', 'b']);
+  });
+
+  it('should validate the types of the coerced value', () => {
+    const { valid, errors } = safeValidate(
+      { page: 'two', active: 'maybe', since: 'never' },
+      querySchema,
+      { coerce: true },
+    );
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(e => e.path), ['page', 'active', 'since']);
+    assert.deepEqual(errors.map(e => e.value), ['two', 'maybe', 'never']);
+  });
+
+  it('should validate the filled defaults', () => {
+    assert.throws(
+      () => validate({ active: true }, { ...querySchema, page: { type: 'integer', defaultValue: 'x' } }),
+      errs => errs.errors.length === 1 && errs.errors[0].path === 'page',
+    );
+  });
+
+  it('should fail for a date type without coercion', () => {
+    assert.equal(safeValidate({ active: true, since: '2019-12-05' }, querySchema).valid, false);
+    assert.equal(safeValidate({ active: true, since: new Date() }, querySchema).valid, true);
+  });
+
+  it('should return the coerced value asynchronously', () => safeValidateAsync(
+    { active: '1' },
+    querySchema,
+    { coerce: true },
+  ).then(({ valid, value }) => {
+    assert.equal(valid, true);
+    assert.strictEqual(value.active, true);
+    assert.strictEqual(value.page, 1);
+  }));
+});
+
+const userSchema = {
+  email: {
+    allowNull: true,
+  },
+  settings: {
+    type: 'object',
+    allowNull: true,
+    schema: {
+      locale: {
+        allowNull: true,
+      },
+    },
+  },
+  roles: {
+    type: 'array',
+    allowNull: true,
+    schema: {
+      name: {
+        type: 'string',
+      },
+    },
+  },
+};
+
+const userInput = {
+  email: 'cyppan@email.com',
+  extra: true,
+  settings: { locale: 'fr', theme: 'dark' },
+  roles: [{ name: 'ADMIN' }, { name: 'USER', extraKey: 'aïe' }],
+};
+
+describe('unknownKeys', () => {
+  it('should allow unknown keys by default', () => {
+    assert.equal(validate(userInput, userSchema), true);
+    assert.deepEqual(safeValidate(userInput, userSchema).value, userInput);
+  });
+
+  it('should reject each unknown key with its full path', () => {
+    const { valid, errors } = safeValidate(userInput, userSchema, { unknownKeys: 'reject' });
+    assert.equal(valid, false);
+    assert.deepEqual(
+      errors.map(e => [e.path, e.validatorName, e.value]),
+      [
+        ['extra', 'unknownKey', true],
+        ['settings.theme', 'unknownKey', 'dark'],
+        ['roles.1.extraKey', 'unknownKey', 'aïe'],
+      ],
+    );
+    assert.deepEqual(errors[2].validatorArgs, ['name']);
+    assert.equal(errors[2].message, 'roles.1.extraKey is not allowed');
+  });
+
+  it('should strip unknown keys from the value', () => {
+    const { valid, value } = safeValidate(userInput, userSchema, { unknownKeys: 'strip' });
+    assert.equal(valid, true);
+    assert.deepEqual(value, {
+      email: 'cyppan@email.com',
+      settings: { locale: 'fr' },
+      roles: [{ name: 'ADMIN' }, { name: 'USER' }],
+    });
+    assert.equal(userInput.extra, true);
+  });
+
+  it('should let nested schemas override the mode', () => {
+    const { errors, value } = safeValidate(userInput, {
+      ...userSchema,
+      settings: { ...userSchema.settings, unknownKeys: 'allow' },
+      roles: { ...userSchema.roles, unknownKeys: 'reject' },
+    }, { unknownKeys: 'strip' });
+    assert.deepEqual(errors.map(e => e.path), ['roles.1.extraKey']);
+    assert.equal(value.extra, undefined);
+    assert.equal(value.settings.theme, 'dark');
+  });
+
+  it('should apply a nested mode without a top level one', () => {
+    const { errors } = safeValidate(userInput, {
+      ...userSchema,
+      settings: { ...userSchema.settings, unknownKeys: 'reject' },
+    });
+    assert.deepEqual(errors.map(e => e.path), ['settings.theme']);
+  });
+
+  it('should prefix the paths', () => {
+    const { errors } = safeValidate({ a: 1 }, {}, { prefix: ['obj'], unknownKeys: 'reject' });
+    assert.deepEqual(errors.map(e => e.path), ['obj.a']);
+  });
+
+  it('should fail for an invalid mode', () => {
+    assert.throws(
+      () => validate({}, {}, { unknownKeys: 'drop' }),
+      /unknownKeys should be one of allow, reject, strip/,
+    );
+  });
+});
+
+describe('sanitizers', () => {
+  const signupSchema = {
+    email: { allowNull: false, sanitize: ['trim', 'normalizeEmail'], validate: { isEmail: true } },
+    name: { sanitize: ['trim', ['blacklist', '<>']], validate: { len: [2, 10] } },
+    age: { type: 'integer', sanitize: 'toInt' },
+    tags: {
+      type: 'array',
+      schema: { $: { sanitize: [tag => tag.toLowerCase(), 'trim'] } },
+    },
+  };
+
+  it('should sanitize the fields before validating them and return the sanitized value', () => {
+    const input = {
+      email: '  John.Doe@GMAIL.com ',
+      name: ' <Bob> ',
+      age: '42',
+      tags: [' Admin', 'USER '],
+    };
+    const { valid, value } = safeValidate(input, signupSchema);
+    assert.equal(valid, true);
+    assert.deepEqual(value, {
+      email: 'johndoe@gmail.com',
+      name: 'Bob',
+      age: 42,
+      tags: ['admin', 'user'],
+    });
+    // the input isn't mutated
+    assert.equal(input.name, ' <Bob> ');
+  });
+
+  it('should report the errors with the sanitized values', () => {
+    const { errors } = safeValidate({ email: ' X@Y ', name: ' <a> ', age: 42 }, signupSchema);
+    assert.deepEqual(errors.map(({ path, value }) => [path, value]), [
+      ['email', 'x@y'],
+      ['name', 'a'],
+    ]);
+  });
+
+  it('should sanitize before coercing and leave the null values untouched', () => {
+    const { value } = safeValidate(
+      { age: null, createdAt: ' 2019-12-05 ', count: ' 3 ' },
+      {
+        age: { type: 'integer', sanitize: 'toInt' },
+        createdAt: { type: 'date', sanitize: 'trim' },
+        count: { type: 'integer', sanitize: 'trim' },
+      },
+      { coerce: true },
+    );
+    assert.strictEqual(value.age, null);
+    assert(value.createdAt instanceof Date);
+    assert.strictEqual(value.count, 3);
+  });
+
+  it('should use the sanitizers of a validator instance', () => {
+    const { safeValidate: safeValidateSlug } = createValidator({
+      sanitizers: { slugify: (value, separator = '-') => value.toLowerCase().replace(/\s+/g, separator) },
+    });
+    const { value } = safeValidateSlug(
+      { slug: ' My First Post ', path: 'My Post' },
+      { slug: { sanitize: ['trim', 'slugify'] }, path: { sanitize: [['slugify', '/']] } },
+    );
+    assert.deepEqual(value, { slug: 'my-first-post', path: 'my/post' });
+    assert.throws(() => validate({}, { slug: { sanitize: 'slugify' } }), /unknown sanitizer slugify/);
+  });
+});
@@ -0,0 +1,65 @@
+// Type-level tests of the API declarations, checked with `npm run test:types`
+import {
+  FieldSchema,
+  ValidationErrorItem,
+  ValidationErrors,
+  createValidator,
+  generateTypes,
+  safeValidate,
+  validateAt,
+} from '../../types/validate';
+import { koaValidateRequest, validateRequest } from '../../types/middleware';
+
+export const errors = (e: unknown): string[] => {
+  if (!(e instanceof ValidationErrors)) return [];
+  const flat: { [path: string]: Array<string | null> } = e.toFlatMap();
+  const problem = e.toProblemDetails({ instance: '/users' });
+  const items: ValidationErrorItem[] = e.errors;
+  return [
+    ...Object.keys(flat),
+    ...problem['invalid-params'].map(({ reason }) => reason),
+    ...items.map(item => item.origin || ValidationErrorItem.Origins.CORE),
+  ];
+};
+
+const { validate, checkSchema } = createValidator({
+  validators: { isSlug: value => /^[a-z-]+$/.test(value) },
+  sanitizers: { slugify: (value: string, separator = '-') => value.toLowerCase().replace(/\s+/g, separator) },
+  types: { slug: value => typeof value === 'string' },
+});
+
+export const slug = (input: unknown): boolean => validate(input, {
+  slug: { type: 'slug', sanitize: ['trim', ['slugify', '_'], value => value.slice(0, 50)], validate: { isSlug: true } },
+});
+
+export const warnings = (input: unknown): string[] => {
+  const result = safeValidate(input, {
+    password: { validate: { len: [8, 100], isStrong: value => /[0-9]/.test(value) }, severity: { isStrong: 'warning' } },
+    phone: { severity: 'info' },
+  });
+  return result.warnings
+    .filter(({ severity }) => severity !== ValidationErrorItem.Severities.ERROR)
+    .map(({ message }) => message);
+};
+
+export const schemaErrors = checkSchema({ name: { type: 'strng' } }).map(({ path }) => path);
+
+export const field: FieldSchema = {
+  type: 'object',
+  when: { path: 'kind', is: 'company', then: { allowNull: false } },
+  schema: { $: { validate: { custom: (value, { root }) => value !== root } } },
+};
+
+export const declaration: string = generateTypes({ name: field }, { name: 'Company' });
+
+export const at: true = validateAt({ roles: [] }, 'roles.0.name', { roles: { type: 'array' } });
+
+export const expressMiddleware = validateRequest({ body: { email: { allowNull: false } } }, {
+  coerce: true,
+  assign: true,
+  formatError: (e, req) => ({ url: req.originalUrl, fields: e.toFlatMap() }),
+});
+
+export const koaMiddleware = koaValidateRequest({ query: { page: { type: 'integer' } } }, {
+  status: 422,
+});
@@ -0,0 +1,138 @@
+// Type-level tests of InferType, checked with `npm run test:types`
+import {
+  InferType,
+  compile,
+  deepPartial,
+  extend,
+  omit,
+  pick,
+  required,
+  safeValidate,
+  validate,
+} from '../../types/validate';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2)
+  ? true
+  : false;
+type Expect<T extends true> = T;
+
+const userSchema = {
+  email: { type: 'string', allowNull: false, validate: { isEmail: true } },
+  age: { type: 'integer' },
+  status: { type: 'enum', values: ['ACTIVE', 'BANNED'], allowNull: false },
+  id: { type: ['string', 'integer'], allowNull: false },
+  createdAt: { type: 'date' },
+  settings: {
+    type: 'object',
+    schema: {
+      locale: { type: 'string', allowNull: false },
+    },
+  },
+  'settings.theme': { type: 'string' },
+  roles: {
+    type: 'array',
+    allowNull: false,
+    schema: {
+      name: { type: 'string', allowNull: false },
+      until: { type: 'date' },
+    },
+  },
+  tags: { type: 'array', schema: { $: { type: 'string', allowNull: false } } },
+  scores: { type: 'record', values: { type: 'float', allowNull: false } },
+  extra: { validate: { isJSON: true } },
+  contact: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+  $: { validate: { hasContact: ({ email }: { email?: string }) => !!email } },
+} as const;
+
+type User = InferType<typeof userSchema>;
+
+export type Tests = [
+  Expect<Equal<User['email'], string>>,
+  Expect<Equal<User['age'], number | null | undefined>>,
+  Expect<Equal<User['status'], 'ACTIVE' | 'BANNED'>>,
+  Expect<Equal<User['id'], string | number>>,
+  Expect<Equal<User['createdAt'], Date | null | undefined>>,
+  Expect<Equal<NonNullable<User['settings']>, { locale: string }>>,
+  Expect<Equal<User['roles'], Array<{ name: string; until?: Date | null }>>>,
+  Expect<Equal<User['tags'], string[] | null | undefined>>,
+  Expect<Equal<User['scores'], { [key: string]: number } | null | undefined>>,
+  Expect<Equal<User['extra'], unknown>>,
+  Expect<Equal<User['contact'], string | number | null | undefined>>,
+  Expect<Equal<Exclude<keyof User, 'settings.theme'>, keyof User>>,
+];
+
+// the optional fields can be missing
+export const user: User = {
+  email: 'a@b.co',
+  status: 'ACTIVE',
+  id: 1,
+  roles: [{ name: 'ADMIN' }],
+};
+
+// @ts-expect-error a required field is missing
+export const invalidUser: User = { status: 'ACTIVE', id: 1, roles: [] };
+
+// validate is a type guard, inferring the schema literal types
+export const guard = (input: unknown): string | null => {
+  if (validate(input, { email: { type: 'string', allowNull: false }, age: { type: 'integer' } })) {
+    const email: string = input.email;
+    const age: number | null | undefined = input.age;
+    return `${email} ${age}`;
+  }
+  return null;
+};
+
+// the input isn't narrowed when it differs from the validated value
+export const normalized = (input: unknown): unknown => {
+  if (validate(input, { name: { type: 'string', allowNull: false, defaultValue: 'anonymous' } })) {
+    // @ts-expect-error the input may miss the default values
+    return input.name;
+  }
+  if (validate(input, { roles: { type: 'array', schema: { $: { type: 'string', sanitize: 'trim' } } } })) {
+    // @ts-expect-error the input may not be sanitized
+    return input.roles;
+  }
+  if (validate(input, { age: { type: 'integer', allowNull: false } }, { coerce: true })) {
+    // @ts-expect-error the input may not be coerced
+    return input.age;
+  }
+  const validated: true = validate(input, { age: { type: 'integer' } }, { coerce: true });
+  return validated;
+};
+
+// the list and set types are structural, a Set or an Immutable List being assignable
+export const tagSet: InferType<{ tags: { type: 'set', schema: { $: { type: 'string', allowNull: false } } } }> = {
+  tags: new Set(['a']),
+};
+
+export const safe = (input: unknown): number => {
+  const result = safeValidate(input, { $: { type: 'array', schema: { $: { type: 'integer', allowNull: false } } } });
+  if (result.valid) {
+    const numbers: number[] = result.value;
+    return numbers.length;
+  }
+  // @ts-expect-error the value of an invalid result isn't typed
+  return result.value.length;
+};
+
+const validateUser = compile(userSchema);
+
+export const compiled = (input: unknown): string => (validateUser(input) ? input.email : '');
+
+const publicUserSchema = omit(userSchema, ['extra', 'contact']);
+const createUserSchema = extend(publicUserSchema, { password: { type: 'string', allowNull: false } });
+const updateUserSchema = deepPartial(createUserSchema);
+const credentialsSchema = required(pick(userSchema, ['email', 'age']));
+
+type CreateUser = InferType<typeof createUserSchema>;
+type UpdateUser = InferType<typeof updateUserSchema>;
+type Credentials = InferType<typeof credentialsSchema>;
+
+export type CompositionTests = [
+  Expect<Equal<CreateUser['password'], string>>,
+  Expect<Equal<Exclude<keyof CreateUser, keyof User>, 'password'>>,
+  Expect<Equal<Exclude<keyof User, keyof CreateUser>, 'extra' | 'contact'>>,
+  Expect<Equal<UpdateUser['email'], string | null | undefined>>,
+  Expect<Equal<NonNullable<UpdateUser['roles']>, Array<{ name?: string | null; until?: Date | null }>>>,
+  Expect<Equal<Credentials, { email: string; age: number }>>,
+];
@@ -1,6 +1,23 @@
 const assert = require('assert');
-const { List } = require('immutable');
-const { validate, ValidationErrorItem } = require('../src/validate');
+const {
+  List,
+  Map: ImmutableMap,
+  Record,
+  Set: ImmutableSet,
+  fromJS,
+} = require('immutable');
+const {
+  compile,
+  createValidator,
+  safeValidate,
+  safeValidateAsync,
+  validate,
+  validateAsync,
+  validateAt,
+  validator,
+  ValidationErrors,
+  ValidationErrorItem,
+} = require('../src/validate');
 
 const schema = {
   username: {
@@ -422,3 +439,1450 @@ describe('handle custom validators', () => {
     );
   });
 });
+
+const delay = (ms, v) => new Promise(resolve => setTimeout(() => resolve(v), ms));
+
+const takenEmails = ['taken@email.com'];
+
+const asyncSchema = {
+  email: {
+    allowNull: false,
+    validate: {
+      isEmail: true,
+      notTaken: email => delay(5, !takenEmails.includes(email)),
+    },
+  },
+  roles: {
+    type: 'array',
+    schema: {
+      $: {
+        validate: {
+          isString: true,
+          exists: role => delay(5, ['ADMIN', 'USER'].includes(role)),
+        },
+      },
+    },
+  },
+};
+
+describe('validateAsync', () => {
+  it('should resolve for valid object', () => validateAsync(
+    { email: 'free@email.com', roles: ['ADMIN', 'USER'] },
+    asyncSchema,
+  ).then(result => assert.equal(result, true)));
+
+  it('should reject with ValidationErrors for invalid object', () => validateAsync(
+    { email: 'taken@email.com', roles: ['ADMIN', 'GUEST'] },
+    asyncSchema,
+  ).then(() => assert.fail('should have rejected'), (errs) => {
+    assert(errs instanceof ValidationErrors);
+    assert.equal(errs.errors.length, 2);
+    assert.equal(errs.errors[0].path, 'email');
+    assert.equal(errs.errors[0].validatorName, 'notTaken');
+    assert.equal(errs.errors[1].path, 'roles.1');
+    assert.equal(errs.errors[1].validatorName, 'exists');
+  }));
+
+  it('should stop at the first failure per field', () => {
+    let called = false;
+    return validateAsync({ k: 'v' }, {
+      k: {
+        validate: {
+          first: () => delay(1, false),
+          second: () => {
+            called = true;
+            return true;
+          },
+        },
+      },
+    }).then(() => assert.fail('should have rejected'), (errs) => {
+      assert.equal(errs.errors.length, 1);
+      assert.equal(errs.errors[0].validatorName, 'first');
+      assert.equal(called, false);
+    });
+  });
+
+  it('should report a ValidationErrorItem rejected by a validator', () => validateAsync(
+    { k: 'v' },
+    {
+      k: {
+        validate: {
+          rejects: o => Promise.reject(new ValidationErrorItem(
+            'rejected', 'Validation error', 'k', o, null, 'rejects', 'rejects', [],
+          )),
+        },
+      },
+    },
+  ).then(() => assert.fail('should have rejected'), (errs) => {
+    assert.equal(errs.errors.length, 1);
+    assert.equal(errs.errors[0].message, 'rejected');
+  }));
+
+  it('should support async validators registered with validator.extend', () => {
+    validator.extend('isKnownCountry', str => delay(1, ['FR', 'US'].includes(str)));
+    return validateAsync(
+      { country: 'XX' },
+      { country: { validate: { isKnownCountry: true } } },
+    ).then(() => assert.fail('should have rejected'), (errs) => {
+      assert.equal(errs.errors.length, 1);
+      assert.equal(errs.errors[0].path, 'country');
+      assert.equal(errs.errors[0].validatorName, 'isKnownCountry');
+    });
+  });
+
+  it('should limit the concurrency', () => {
+    let running = 0;
+    let maxRunning = 0;
+    const track = () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      return delay(5, true).then((r) => {
+        running -= 1;
+        return r;
+      });
+    };
+    return validateAsync(
+      { items: [1, 2, 3, 4, 5, 6] },
+      { items: { type: 'array', schema: { $: { validate: { track } } } } },
+      { concurrency: 2 },
+    ).then((result) => {
+      assert.equal(result, true);
+      assert.equal(maxRunning, 2);
+    });
+  });
+
+  it('should make validate throw when a validator returns a promise', () => {
+    assert.throws(
+      () => validate({ email: 'free@email.com' }, { email: asyncSchema.email }),
+      /use validateAsync/,
+    );
+  });
+});
+
+const manyRolesSchema = {
+  username: {
+    allowNull: false,
+  },
+  roles: {
+    type: 'array',
+    schema: {
+      $: {
+        validate: {
+          isString: true,
+        },
+      },
+    },
+  },
+};
+
+describe('safeValidate', () => {
+  it('should return valid for valid object', () => {
+    const { valid, errors } = safeValidate({ username: 'cyppan', roles: ['ADMIN'] }, manyRolesSchema);
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+  });
+
+  it('should return the errors without throwing', () => {
+    const { valid, errors } = safeValidate({ roles: ['ADMIN', 1] }, manyRolesSchema);
+    assert.equal(valid, false);
+    assert.equal(errors.length, 2);
+    assert.equal(errors[0].path, 'username');
+    assert.equal(errors[1].path, 'roles.1');
+  });
+
+  it('should stop at the first error with abortEarly', () => {
+    const { errors } = safeValidate(
+      { roles: [1, 2, 3] },
+      manyRolesSchema,
+      { abortEarly: true },
+    );
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, 'username');
+  });
+
+  it('should stop in array elements with abortEarly', () => {
+    let calls = 0;
+    const { errors } = safeValidate(
+      { roles: [1, 2, 3] },
+      {
+        roles: {
+          type: 'array',
+          schema: {
+            $: {
+              validate: {
+                counted: () => {
+                  calls += 1;
+                  return false;
+                },
+              },
+            },
+          },
+        },
+      },
+      { abortEarly: true },
+    );
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, 'roles.0');
+    assert.equal(calls, 1);
+  });
+
+  it('should cap the number of errors with maxErrors', () => {
+    const roles = Array.from({ length: 1000 }, (v, i) => i);
+    const { errors } = safeValidate({ username: 'cyppan', roles }, manyRolesSchema, { maxErrors: 10 });
+    assert.equal(errors.length, 10);
+    assert.equal(errors[9].path, 'roles.9');
+  });
+
+  it('should make validate throw only the capped errors', () => {
+    assert.throws(
+      () => validate({ roles: [1, 2] }, manyRolesSchema, { maxErrors: 2 }),
+      (errs) => {
+        assert.equal(errs.errors.length, 2);
+        return true;
+      },
+    );
+  });
+
+  it('should support abortEarly in validateAsync', () => validateAsync(
+    { roles: [1, 2, 3] },
+    manyRolesSchema,
+    { abortEarly: true, concurrency: 1 },
+  ).then(() => assert.fail('should have rejected'), (errs) => {
+    assert.equal(errs.errors.length, 1);
+    assert.equal(errs.errors[0].path, 'username');
+  }));
+});
+
+describe('compile', () => {
+  it('should validate like validate', () => {
+    const validateUser = compile(schema);
+    assert.equal(validateUser({
+      username: 'cyppan',
+      email: 'cyppan@email.com',
+      roles: ['ADMIN'],
+    }), true);
+    assert.throws(
+      () => validateUser({ username: 'c', email: 'cyppan@email.com', roles: [1] }),
+      (errs) => {
+        assert(errs instanceof ValidationErrors);
+        assert.deepEqual(errs.errors.map(e => e.path), ['username', 'roles.0']);
+        return true;
+      },
+    );
+  });
+
+  it('should be reusable for arrays of objects', () => {
+    const validateRoles = compile(nestedArraySchema);
+    const input = { roles: [{ name: 'ADMIN' }, { name: 'lowercaseandtoolong', extra: 'unallowed' }] };
+    [1, 2].forEach(() => {
+      const { valid, errors } = validateRoles.safeValidate(input);
+      assert.equal(valid, false);
+      assert.deepEqual(errors.map(e => e.path), ['roles.1.name', 'roles.1']);
+    });
+  });
+
+  it('should take the validate options once and runtime options per call', () => {
+    const validateUser = compile(schema, { locale: 'fr' });
+    const { errors } = validateUser.safeValidate({}, { prefix: ['user'], abortEarly: true });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, 'user.username');
+    assert.equal(errors[0].message, 'user.username est obligatoire');
+  });
+
+  it('should support the prefix as second argument', () => {
+    assert.throws(
+      () => compile(schema)({}, ['user']),
+      errs => errs.errors[0].path === 'user.username',
+    );
+  });
+
+  it('should validate asynchronously', () => compile(asyncSchema)
+    .validateAsync({ email: 'taken@email.com', roles: [] })
+    .then(() => assert.fail('should have rejected'), (errs) => {
+      assert.equal(errs.errors.length, 1);
+      assert.equal(errs.errors[0].validatorName, 'notTaken');
+    }));
+
+  it('should fail for invalid schema at compile time', () => {
+    assert.throws(() => compile(null), /schema should be valid/);
+  });
+});
+
+const gridSchema = {
+  grid: {
+    type: 'array',
+    schema: {
+      $: {
+        type: 'array',
+        validate: {
+          size: [1, 3],
+        },
+        schema: {
+          $: {
+            type: 'integer',
+          },
+        },
+      },
+    },
+  },
+};
+
+const shelvesSchema = {
+  shelves: {
+    type: 'array',
+    schema: {
+      $: {
+        type: 'array',
+        schema: {
+          title: {
+            type: 'string',
+            allowNull: false,
+          },
+          tags: {
+            type: 'array',
+            allowNull: true,
+            schema: {
+              $: {
+                type: 'array',
+                schema: {
+                  $: {
+                    type: 'string',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+describe('nested arrays', () => {
+  it('should pass for a valid matrix', () => {
+    assert.equal(validate({ grid: [[1, 2], [3], [4, 5, 6]] }, gridSchema), true);
+  });
+
+  it('should fail for invalid matrix elements with their indices', () => {
+    assert.throws(
+      () => validate({ grid: [[1, 2], [], [4, 5, 'x'], 'row', [1.5]] }, gridSchema),
+      (errs) => {
+        assert.deepEqual(
+          errs.errors.map(e => [e.path, e.validatorName]),
+          [
+            ['grid.2.2', 'type'],
+            ['grid.4.0', 'type'],
+            ['grid.1', 'size'],
+            ['grid.3', 'type'],
+          ],
+        );
+        return true;
+      },
+    );
+  });
+
+  it('should validate arrays of arrays of objects at any depth', () => {
+    const { errors } = safeValidate({
+      shelves: [
+        [{ title: 'ok' }],
+        [{ title: 'ok', tags: [['a'], ['b', 2]] }, { tags: null }],
+      ],
+    }, shelvesSchema);
+    assert.deepEqual(
+      errors.map(e => [e.path, e.validatorName]),
+      [
+        ['shelves.1.1.title', 'required'],
+        ['shelves.1.0.tags.1.1', 'type'],
+      ],
+    );
+  });
+
+  it('should normalize nested arrays', () => {
+    const { value } = safeValidate(
+      { grid: [['1', '2'], ['3']] },
+      gridSchema,
+      { coerce: true },
+    );
+    assert.deepEqual(value, { grid: [[1, 2], [3]] });
+  });
+});
+
+const paymentSchema = {
+  id: {
+    type: ['string', 'integer'],
+  },
+  contact: {
+    anyOf: [
+      { validate: { isEmail: true } },
+      { validate: { isMobilePhone: ['fr-FR'] } },
+    ],
+  },
+  amount: {
+    oneOf: [
+      { type: 'integer', validate: { min: 0 } },
+      { type: 'integer', validate: { max: 1000 } },
+    ],
+  },
+  payment: {
+    allowNull: false,
+    type: 'object',
+    discriminator: 'kind',
+    oneOf: {
+      card: {
+        type: 'object',
+        schema: {
+          number: { allowNull: false, validate: { isCreditCard: true } },
+        },
+      },
+      iban: {
+        type: 'object',
+        schema: {
+          iban: { allowNull: false, validate: { len: [15, 34] } },
+          bic: { defaultValue: 'NONE' },
+        },
+      },
+    },
+  },
+  refunds: {
+    type: 'array',
+    schema: {
+      $: {
+        discriminator: 'kind',
+        oneOf: {
+          full: { type: 'object' },
+          partial: {
+            type: 'object',
+            schema: { amount: { allowNull: false, type: 'integer' } },
+          },
+        },
+      },
+    },
+  },
+};
+
+describe('unions', () => {
+  const card = { kind: 'card', number: '4111111111111111' };
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+
+  it('should accept a list of types', () => {
+    assert.equal(validate({ id: 'a1', payment: card }, paymentSchema), true);
+    assert.equal(validate({ id: 12, payment: card }, paymentSchema), true);
+    const { errors } = safeValidate({ id: true, payment: card }, paymentSchema);
+    assert.deepEqual(paths({ errors }), [['id', 'type']]);
+    assert.deepEqual(errors[0].validatorArgs, ['string', 'integer']);
+    assert.equal(errors[0].message, 'id must be of type string, integer');
+  });
+
+  it('should pass anyOf when an alternative matches', () => {
+    assert.equal(validate({ contact: 'a@b.co', payment: card }, paymentSchema), true);
+    assert.equal(validate({ contact: '0612345678', payment: card }, paymentSchema), true);
+  });
+
+  it('should return a summary error when no anyOf alternative matches', () => {
+    const { errors } = safeValidate({ contact: 'nope', payment: card }, paymentSchema);
+    assert.deepEqual(paths({ errors }), [['contact', 'anyOf']]);
+    assert.equal(errors[0].message, 'contact does not match any of the allowed schemas');
+    assert.deepEqual(
+      errors[0].branchErrors.map(branch => branch.map(e => [e.path, e.validatorKey])),
+      [[['contact', 'isEmail']], [['contact', 'isMobilePhone']]],
+    );
+  });
+
+  it('should fail oneOf when more than one alternative matches', () => {
+    assert.equal(validate({ amount: -5, payment: card }, paymentSchema), true);
+    const { errors } = safeValidate({ amount: 50, payment: card }, paymentSchema);
+    assert.deepEqual(paths({ errors }), [['amount', 'oneOf']]);
+    assert.deepEqual(errors[0].branchErrors, [[], []]);
+  });
+
+  it('should report the errors of the alternative selected by the discriminator', () => {
+    const { errors } = safeValidate(
+      { payment: { kind: 'iban', number: '4111111111111111' } },
+      paymentSchema,
+    );
+    assert.deepEqual(paths({ errors }), [['payment.iban', 'required']]);
+  });
+
+  it('should fail for an unknown discriminator value', () => {
+    const { errors } = safeValidate({ payment: { kind: 'cash' } }, paymentSchema);
+    assert.deepEqual(paths({ errors }), [['payment.kind', 'discriminator']]);
+    assert.deepEqual(errors[0].validatorArgs, ['card', 'iban']);
+    assert.equal(errors[0].message, 'payment.kind must be one of: card, iban');
+  });
+
+  it('should select the alternative of each array element', () => {
+    const { errors } = safeValidate({
+      payment: card,
+      refunds: [{ kind: 'full' }, { kind: 'partial', amount: 'ten' }, { kind: 'partial' }],
+    }, paymentSchema);
+    assert.deepEqual(paths({ errors }), [
+      ['refunds.1.amount', 'type'],
+      ['refunds.2.amount', 'required'],
+    ]);
+  });
+
+  it('should normalize the selected alternative', () => {
+    const { value } = safeValidate(
+      { payment: { kind: 'iban', iban: 'FR7630006000011234567890189' } },
+      paymentSchema,
+    );
+    assert.equal(value.payment.bic, 'NONE');
+  });
+
+  it('should know the discriminator key of the alternative with unknownKeys', () => {
+    const payment = { kind: 'card', number: '4111111111111111' };
+    assert.deepEqual(paths(safeValidate({ payment }, paymentSchema, { unknownKeys: 'reject' })), []);
+    const { errors, value } = safeValidate(
+      { payment: { ...payment, cvc: '123' } },
+      paymentSchema,
+      { unknownKeys: 'strip' },
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.payment, payment);
+    assert.deepEqual(
+      paths(safeValidate({ payment: { ...payment, cvc: '123' } }, paymentSchema, { unknownKeys: 'reject' })),
+      [['payment.cvc', 'unknownKey']],
+    );
+  });
+
+  it('should respect maxErrors with the errors of an alternative', () => {
+    const unionSchema = {
+      $: {
+        discriminator: 'kind',
+        oneOf: {
+          a: {
+            type: 'object',
+            schema: { x: { allowNull: false }, y: { allowNull: false } },
+          },
+        },
+      },
+    };
+    assert.equal(safeValidate({ kind: 'a' }, unionSchema).errors.length, 2);
+    assert.equal(safeValidate({ kind: 'a' }, unionSchema, { maxErrors: 1 }).errors.length, 1);
+  });
+
+  it('should run asynchronous validators of the alternatives', () => {
+    const codeSchema = {
+      code: {
+        anyOf: [
+          { validate: { known: o => Promise.resolve(o === 'A') } },
+          { validate: { isInt: true } },
+        ],
+      },
+    };
+    assert.throws(() => validate({ code: 'B' }, codeSchema), /validateAsync/);
+    return Promise.all([
+      validateAsync({ code: 'A' }, codeSchema),
+      safeValidateAsync({ code: 'B' }, codeSchema).then(({ errors }) => {
+        assert.deepEqual(paths({ errors }), [['code', 'anyOf']]);
+      }),
+    ]);
+  });
+});
+
+const euCountries = ['FR', 'DE', 'IT'];
+
+const invoiceSchema = {
+  country: {
+    allowNull: false,
+    type: 'string',
+  },
+  vatNumber: {
+    type: 'string',
+    when: {
+      path: 'country',
+      is: { validate: { isIn: [euCountries] } },
+      then: { allowNull: false, validate: { len: [8, 14] } },
+      otherwise: { validate: { isEmpty: true } },
+    },
+  },
+  lines: {
+    type: 'array',
+    schema: {
+      unit: {
+        type: 'string',
+      },
+      quantity: {
+        when: {
+          path: 'unit',
+          is: 'kg',
+          then: { type: 'float' },
+          otherwise: { type: 'integer' },
+        },
+      },
+      discount: {
+        when: {
+          path: 'quantity',
+          is: quantity => quantity >= 100,
+          otherwise: { validate: { max: 0 } },
+        },
+      },
+    },
+  },
+};
+
+describe('conditional schemas', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+
+  it('should apply the then rules when the condition matches', () => {
+    assert.equal(validate({ country: 'FR', vatNumber: 'FR123456789' }, invoiceSchema), true);
+    assert.deepEqual(paths(safeValidate({ country: 'FR' }, invoiceSchema)), [
+      ['vatNumber', 'required'],
+    ]);
+    assert.deepEqual(paths(safeValidate({ country: 'DE', vatNumber: 'DE1' }, invoiceSchema)), [
+      ['vatNumber', 'len'],
+    ]);
+  });
+
+  it('should apply the otherwise rules when it does not', () => {
+    assert.equal(validate({ country: 'US' }, invoiceSchema), true);
+    assert.deepEqual(paths(safeValidate({ country: 'US', vatNumber: 'X' }, invoiceSchema)), [
+      ['vatNumber', 'isEmpty'],
+    ]);
+  });
+
+  it('should keep the rules of the field itself', () => {
+    assert.deepEqual(paths(safeValidate({ country: 'FR', vatNumber: 12 }, invoiceSchema)), [
+      ['vatNumber', 'type'],
+    ]);
+  });
+
+  it('should fail for the options which can\'t depend on the condition when compiling', () => {
+    assert.throws(() => compile({
+      address: {
+        type: 'object',
+        when: { path: 'country', is: 'FR', then: { schema: { zip: { allowNull: false } } } },
+      },
+    }), /schema can't depend on a when condition/);
+    assert.throws(() => compile({
+      zip: { when: { path: 'country', is: 'FR', otherwise: { defaultValue: '00000' } } },
+    }), /defaultValue can't depend on a when condition/);
+  });
+
+  it('should resolve the path from each array element', () => {
+    const { errors } = safeValidate({
+      country: 'US',
+      lines: [
+        { unit: 'kg', quantity: 1.5 },
+        { unit: 'piece', quantity: 1.5 },
+        { unit: 'piece', quantity: 200, discount: 10 },
+        { unit: 'piece', quantity: 2, discount: 10 },
+      ],
+    }, invoiceSchema);
+    assert.deepEqual(paths({ errors }), [
+      ['lines.1.quantity', 'type'],
+      ['lines.3.discount', 'max'],
+    ]);
+  });
+
+  it('should resolve the path from a nested object', () => {
+    const addressSchema = {
+      address: {
+        type: 'object',
+        schema: {
+          country: { type: 'string' },
+          state: {
+            when: { path: 'country', is: 'US', then: { allowNull: false } },
+          },
+        },
+      },
+    };
+    assert.equal(validate({ address: { country: 'FR' } }, addressSchema), true);
+    assert.deepEqual(paths(safeValidate({ address: { country: 'US' } }, addressSchema)), [
+      ['address.state', 'required'],
+    ]);
+  });
+
+  it('should support asynchronous conditions', () => {
+    const seatsSchema = {
+      plan: {},
+      seats: {
+        when: {
+          path: 'plan',
+          is: plan => Promise.resolve(plan === 'team'),
+          then: { allowNull: false },
+        },
+      },
+    };
+    return safeValidateAsync({ plan: 'team' }, seatsSchema).then((result) => {
+      assert.deepEqual(paths(result), [['seats', 'required']]);
+    });
+  });
+});
+
+describe('validation context', () => {
+  const bookingSchema = {
+    owner: {
+      validate: {
+        isImmutable: true,
+      },
+    },
+    stays: {
+      type: 'array',
+      schema: {
+        startDate: {
+          allowNull: false,
+          type: 'date',
+        },
+        endDate: {
+          allowNull: false,
+          type: 'date',
+          validate: {
+            afterStart: (endDate, { parent }) => endDate > parent.startDate,
+          },
+        },
+      },
+    },
+    discount: {
+      validate: {
+        isAllowed: (discount, { context }) => context.user.role === 'ADMIN',
+      },
+    },
+  };
+
+  it('should give the root, parent, path, field schema and options to custom validators', () => {
+    const calls = [];
+    const spy = (value, ctx) => {
+      calls.push(ctx);
+      return true;
+    };
+    const input = { roles: [{ name: 'ADMIN' }] };
+    const fieldSchema = { validate: { spy } };
+    validate(input, { roles: { type: 'array', schema: { name: fieldSchema } } }, {
+      prefix: ['user'],
+      context: { userId: 1 },
+    });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].root, input);
+    assert.equal(calls[0].parent, input.roles[0]);
+    assert.deepEqual(calls[0].path, ['roles', 0, 'name']);
+    assert.equal(calls[0].fieldSchema, fieldSchema);
+    assert.deepEqual(calls[0].context, { userId: 1 });
+    assert.deepEqual(calls[0].options.prefix, ['user']);
+  });
+
+  it('should report cross field rules on the field', () => {
+    const { errors } = safeValidate({
+      stays: [
+        { startDate: new Date('2018-01-01'), endDate: new Date('2018-01-05') },
+        { startDate: new Date('2018-02-05'), endDate: new Date('2018-02-01') },
+      ],
+    }, bookingSchema, { context: { user: { role: 'USER' } } });
+    assert.deepEqual(errors.map(e => [e.path, e.validatorKey]), [['stays.1.endDate', 'afterStart']]);
+  });
+
+  it('should give the user context', () => {
+    const admin = { context: { user: { role: 'ADMIN' } } };
+    const user = { context: { user: { role: 'USER' } } };
+    assert.equal(validate({ discount: 10 }, bookingSchema, admin), true);
+    assert.deepEqual(
+      safeValidate({ discount: 10 }, bookingSchema, user).errors.map(e => e.path),
+      ['discount'],
+    );
+  });
+
+  it('should check isImmutable against the previous record', () => {
+    const context = { user: { role: 'USER' }, previous: { owner: 'bob' } };
+    assert.equal(validate({ owner: 'bob' }, bookingSchema, { context }), true);
+    assert.equal(validate({ owner: 'alice' }, bookingSchema, { context: { user: {} } }), true);
+    assert.deepEqual(
+      safeValidate({ owner: 'alice' }, bookingSchema, { context }).errors.map(e => e.validatorKey),
+      ['isImmutable'],
+    );
+  });
+
+  it('should check isImmutable against the raw values', () => {
+    const accountSchema = {
+      age: { type: 'integer', validate: { isImmutable: true } },
+      tags: { type: 'array', validate: { isImmutable: true } },
+      active: { type: 'boolean', validate: { isImmutable: true } },
+    };
+    const context = { previous: { age: 5, tags: ['a'], active: false } };
+    assert.equal(validate({ age: 5, tags: ['a'], active: false }, accountSchema, { context }), true);
+    const { errors } = safeValidate({ age: '5', tags: ['a', 'b'], active: 0 }, accountSchema, {
+      context,
+    });
+    assert.deepEqual(errors.map(e => [e.path, e.validatorKey, e.value]), [
+      ['age', 'type', '5'],
+      ['tags', 'isImmutable', ['a', 'b']],
+      ['active', 'type', 0],
+    ]);
+  });
+
+  it('should give the context to when predicates', () => {
+    const reasonSchema = {
+      reason: {
+        when: {
+          path: 'status',
+          is: (status, { context }) => status !== context.previous.status,
+          then: { allowNull: false },
+        },
+      },
+    };
+    const context = { previous: { status: 'open' } };
+    assert.equal(validate({ status: 'open' }, reasonSchema, { context }), true);
+    assert.deepEqual(
+      safeValidate({ status: 'closed' }, reasonSchema, { context }).errors.map(e => e.path),
+      ['reason'],
+    );
+  });
+});
+
+describe('createValidator', () => {
+  const slugSchema = {
+    slug: {
+      type: 'string',
+      validate: {
+        isSlug: true,
+      },
+    },
+  };
+  const strict = createValidator({
+    validators: { isSlug: value => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value) },
+    messages: { isSlug: '{path} must be a slug' },
+  });
+  const lenient = createValidator({
+    validators: { isSlug: value => /^[\w-]+$/.test(value) },
+  });
+
+  it('should keep the validators of each instance separate', () => {
+    assert.equal(lenient.validate({ slug: 'My_Post' }, slugSchema), true);
+    const { errors } = strict.safeValidate({ slug: 'My_Post' }, slugSchema);
+    assert.deepEqual(errors.map(e => [e.path, e.validatorKey, e.message]), [
+      ['slug', 'isSlug', 'slug must be a slug'],
+    ]);
+  });
+
+  it('should not change the default instance', () => {
+    assert.equal(validator.isSlug, undefined);
+    assert.throws(() => validate({ slug: 'my-post' }, slugSchema), /unknown validator isSlug/);
+  });
+
+  it('should inherit the default validators', () => {
+    const emailSchema = { email: { validate: { isEmail: true, isSlug: true } } };
+    assert.deepEqual(
+      strict.safeValidate({ email: 'nope' }, emailSchema).errors.map(e => e.validatorKey),
+      ['isEmail'],
+    );
+  });
+
+  it('should give the arguments and the context to registered validators', () => {
+    const { safeValidate: safeValidateWords } = createValidator({
+      validators: {
+        maxWords: (value, max, { context }) => value.split(' ').length <= max + context.extra,
+      },
+    });
+    const titleSchema = { title: { validate: { maxWords: 2 } } };
+    const validWith = extra => safeValidateWords(
+      { title: 'a b c' },
+      titleSchema,
+      { context: { extra } },
+    ).valid;
+    assert.equal(validWith(0), false);
+    assert.equal(validWith(1), true);
+  });
+
+  it('should support custom types', () => {
+    const { compile: compileTyped } = createValidator({
+      types: { slug: value => typeof value === 'string' && /^[a-z-]+$/.test(value) },
+    });
+    const check = compileTyped({ slug: { type: 'slug' }, count: { type: 'integer' } });
+    assert.equal(check({ slug: 'my-post', count: 1 }), true);
+    assert.deepEqual(
+      check.safeValidate({ slug: 'My Post', count: 1.5 }).errors.map(e => [e.path, e.validatorKey]),
+      [['slug', 'type'], ['count', 'type']],
+    );
+  });
+});
+
+describe('type registry', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+  const articleSchema = {
+    id: { type: 'uuid' },
+    status: { type: 'enum', values: ['DRAFT', 'PUBLISHED'] },
+    views: { type: 'bigint' },
+    metadata: { type: 'any' },
+    publishedAt: { type: 'date' },
+  };
+
+  it('should check the built-in types', () => {
+    assert.equal(validate({
+      id: '0b9d6ad0-3b8b-4a4e-9a43-8b1f0a0c3d1e',
+      status: 'DRAFT',
+      views: global.BigInt('9007199254740993'),
+      metadata: [1, 'two'],
+      publishedAt: new Date(),
+    }, articleSchema), true);
+    assert.equal(validate({ views: 12 }, articleSchema), true);
+    assert.deepEqual(paths(safeValidate({
+      id: 'not-a-uuid',
+      status: 'ARCHIVED',
+      views: 1.5,
+      publishedAt: new Date('nope'),
+    }, articleSchema)), [
+      ['id', 'type'],
+      ['status', 'enum'],
+      ['views', 'type'],
+      ['publishedAt', 'type'],
+    ]);
+  });
+
+  it('should report the enum values', () => {
+    const [error] = safeValidate({ status: 'ARCHIVED' }, articleSchema).errors;
+    assert.deepEqual(error.validatorArgs, ['DRAFT', 'PUBLISHED']);
+    assert.equal(error.message, 'status must be one of: DRAFT, PUBLISHED');
+  });
+
+  it('should fail on unknown types when compiling the schema', () => {
+    assert.throws(() => compile({ name: { type: 'strng' } }), /unknown type strng/);
+    assert.throws(() => compile({ id: { type: ['string', 'integr'] } }), /unknown type integr/);
+  });
+
+  it('should support types with a coercion and default validators', () => {
+    const { safeValidate: safeValidateTyped } = createValidator({
+      types: {
+        email: {
+          check: value => typeof value === 'string',
+          coerce: value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+          validate: { isEmail: true },
+        },
+      },
+    });
+    const contactSchema = {
+      email: { type: 'email' },
+      backup: { type: 'email', validate: { len: [50] } },
+    };
+    const result = safeValidateTyped({ email: ' Me@Mail.COM ' }, contactSchema, { coerce: true });
+    assert.equal(result.valid, true);
+    assert.equal(result.value.email, 'me@mail.com');
+    const invalid = { email: 'nope', backup: 'a@b.co' };
+    assert.deepEqual(paths(safeValidateTyped(invalid, contactSchema)), [
+      ['email', 'isEmail'],
+      ['backup', 'len'],
+    ]);
+  });
+});
+
+describe('definitions', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+  const definitions = {
+    Comment: {
+      type: 'object',
+      schema: {
+        body: { allowNull: false, validate: { isString: true, len: [1, 280] } },
+        replies: { type: 'array', schema: { $: { $ref: 'Comment' } } },
+      },
+    },
+  };
+  const postSchema = {
+    title: { allowNull: false },
+    comments: { type: 'array', schema: { $: { $ref: 'Comment', allowNull: false } } },
+  };
+  const reply = body => ({ body, replies: [] });
+
+  it('should validate recursive definitions at any depth', () => {
+    const post = {
+      title: 'Hello',
+      comments: [{
+        body: 'first',
+        replies: [{ body: 'a', replies: [reply('b'), reply('c'), reply('d'), reply('')] }],
+      }],
+    };
+    assert.deepEqual(paths(safeValidate(post, postSchema, { definitions })), [
+      ['comments.0.replies.0.replies.3.body', 'len'],
+    ]);
+    const { errors } = safeValidate({ body: 'ok', replies: [{ replies: [] }] }, {
+      $: { $ref: 'Comment' },
+    }, { definitions });
+    assert.deepEqual(paths({ errors }), [['replies.0.body', 'required']]);
+  });
+
+  it('should override the definition with the field options', () => {
+    assert.deepEqual(
+      paths(safeValidate({ title: 'Hello', comments: [null] }, postSchema, { definitions })),
+      [['comments.0', 'required']],
+    );
+  });
+
+  it('should validate a definition referencing itself through an object field', () => {
+    const listDefinitions = {
+      Node: {
+        type: 'object',
+        schema: { value: { type: 'integer', allowNull: false }, next: { $ref: 'Node' } },
+      },
+    };
+    const listSchema = { list: { $ref: 'Node', allowNull: false } };
+    const validateList = list => paths(safeValidate({ list }, listSchema, {
+      definitions: listDefinitions,
+    }));
+    assert.deepEqual(validateList({ value: 1, next: { value: 2 } }), []);
+    assert.deepEqual(validateList({ value: 1, next: null }), []);
+    assert.deepEqual(validateList({ value: 1, next: { value: 'b', next: { } } }), [
+      ['list.next.value', 'type'],
+      ['list.next.next.value', 'required'],
+    ]);
+    assert.deepEqual(validateList(undefined), [['list', 'required']]);
+  });
+
+  it('should validate an object containing itself once', () => {
+    const comment = { body: 'loop', replies: [] };
+    comment.replies.push(comment, { body: '' });
+    assert.deepEqual(paths(safeValidate({ comment }, {
+      comment: { $ref: 'Comment' },
+    }, { definitions })), [['comment.replies.1.body', 'len']]);
+  });
+
+  it('should normalize against the definitions', () => {
+    const { value } = safeValidate({ comment: { body: 'hi', replies: [{ body: 'yo' }] } }, {
+      comment: { $ref: 'Node' },
+    }, {
+      definitions: {
+        Node: {
+          type: 'object',
+          schema: {
+            body: {},
+            replies: { type: 'array', defaultValue: [], schema: { $: { $ref: 'Node' } } },
+          },
+        },
+      },
+    });
+    assert.deepEqual(value, {
+      comment: { body: 'hi', replies: [{ body: 'yo', replies: [] }] },
+    });
+  });
+
+  it('should fail on unknown and circular definitions when compiling the schema', () => {
+    assert.throws(
+      () => compile({ comment: { $ref: 'Coment' } }, { definitions }),
+      /unknown definition Coment/,
+    );
+    assert.throws(
+      () => compile({ a: { $ref: 'A' } }, { definitions: { A: { $ref: 'B' }, B: { $ref: 'A' } } }),
+      /circular definition A/,
+    );
+  });
+});
+
+describe('records', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+  const productSchema = {
+    translations: {
+      type: 'record',
+      allowNull: false,
+      keys: { validate: { matches: '^[a-z]{2}$' } },
+      values: {
+        type: 'object',
+        allowNull: false,
+        schema: { title: { allowNull: false, type: 'string' } },
+      },
+    },
+    stock: {
+      type: 'array',
+      schema: { $: { type: 'record', values: { type: 'integer', validate: { min: 0 } } } },
+    },
+  };
+
+  it('should validate the keys and values of a record', () => {
+    const product = {
+      translations: {
+        en: { title: 'Shoe' },
+        fr: { title: 42 },
+        EN: { title: 'Shoe' },
+        de: null,
+      },
+      stock: [{ paris: 2 }, { lyon: -1, nantes: 'x' }],
+    };
+    assert.deepEqual(paths(safeValidate(product, productSchema)), [
+      ['stock.1.lyon', 'min'],
+      ['stock.1.nantes', 'type'],
+      ['translations.fr.title', 'type'],
+      ['translations.EN', 'matches'],
+      ['translations.de.title', 'required'],
+      ['translations.de', 'required'],
+    ]);
+  });
+
+  it('should check the type of a record', () => {
+    assert.deepEqual(paths(safeValidate({ translations: ['en'] }, productSchema)), [
+      ['translations', 'type'],
+    ]);
+  });
+
+  it('should normalize the values of a record', () => {
+    const { value } = safeValidate({ counts: { a: '1', b: null } }, {
+      counts: { type: 'record', values: { type: 'integer', defaultValue: 0 } },
+    }, { coerce: true });
+    assert.deepEqual(value, { counts: { a: 1, b: null } });
+  });
+});
+
+describe('collections', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+  const stateSchema = {
+    user: {
+      type: 'map',
+      allowNull: false,
+      schema: {
+        email: { allowNull: false, validate: { isEmail: true } },
+        roles: { type: 'list', schema: { $: { validate: { isIn: [['ADMIN', 'USER']] } } } },
+      },
+    },
+    'user.settings.locale': { validate: { matches: '^[a-z]{2}$' } },
+    tags: { type: 'set', validate: { size: [1, 3] }, schema: { $: { type: 'string' } } },
+    scores: { type: 'map', keys: { validate: { isUUID: true } }, values: { type: 'integer' } },
+  };
+
+  it('should validate Immutable maps and lists', () => {
+    const state = fromJS({
+      user: { email: 'nope', roles: ['ADMIN', 'ROOT'], settings: { locale: 'FRA' } },
+    });
+    assert.deepEqual(paths(safeValidate(state, stateSchema)), [
+      ['user.email', 'isEmail'],
+      ['user.settings.locale', 'matches'],
+      ['user.roles.1', 'isIn'],
+    ]);
+  });
+
+  it('should validate Immutable records', () => {
+    const User = Record({ email: null, roles: List() });
+    const state = { user: User({ roles: List(['USER']) }) };
+    assert.deepEqual(paths(safeValidate(state, stateSchema)), [['user.email', 'required']]);
+  });
+
+  it('should validate ES maps and sets', () => {
+    const id = '5f2b0a6e-8c1d-4f6a-9b7e-2d3c4b5a6f70';
+    const state = {
+      user: new Map([['email', 'a@b.co']]),
+      tags: new Set(['a', 42]),
+      scores: new Map([[id, 10], ['nope', 'x']]),
+    };
+    assert.deepEqual(paths(safeValidate(state, stateSchema)), [
+      ['tags.1', 'type'],
+      ['scores.nope', 'isUUID'],
+      ['scores.nope', 'type'],
+    ]);
+    assert.deepEqual(paths(safeValidate({ tags: ImmutableSet() }, stateSchema)), [
+      ['user.email', 'required'],
+      ['user', 'required'],
+      ['tags', 'size'],
+    ]);
+  });
+
+  it('should check the collection types', () => {
+    const state = { user: { email: 'a@b.co' }, tags: ['a'], scores: ImmutableMap() };
+    assert.deepEqual(paths(safeValidate(state, stateSchema)), [
+      ['user', 'type'],
+      ['tags', 'type'],
+    ]);
+  });
+
+  it('should not check the elements of a collection of another type', () => {
+    const rolesSchema = {
+      roles: { type: 'array', schema: { $: { type: 'string' } } },
+      grid: { type: 'array', schema: { $: { type: 'array', schema: { $: { type: 'integer' } } } } },
+    };
+    assert.deepEqual(paths(safeValidate({
+      roles: List(['ADMIN', 1]),
+      grid: [[1, 'b'], List(['c'])],
+    }, rolesSchema)), [
+      ['roles', 'type'],
+      ['grid.0.1', 'type'],
+      ['grid.1', 'type'],
+    ]);
+  });
+
+  it('should not accept the indexed collections as objects', () => {
+    const settingsSchema = { settings: { type: 'object' } };
+    assert.deepEqual(paths(safeValidate({ settings: List() }, settingsSchema)), [['settings', 'type']]);
+    assert.deepEqual(paths(safeValidate({ settings: new Set() }, settingsSchema)), [['settings', 'type']]);
+    assert.equal(validate({ settings: ImmutableMap() }, settingsSchema), true);
+  });
+
+  it('should not check the entries of a record of another type', () => {
+    const translationsSchema = {
+      t: { type: 'record', values: { type: 'object', schema: { title: { type: 'string' } } } },
+    };
+    assert.deepEqual(
+      paths(safeValidate({ t: new Map([['en', { title: 1 }]]) }, translationsSchema)),
+      [['t', 'type']],
+    );
+    assert.deepEqual(
+      paths(safeValidate({ t: { en: { title: 1 } } }, translationsSchema)),
+      [['t.en.title', 'type']],
+    );
+  });
+
+  it('should not apply unknownKeys to the collections', () => {
+    const mapSchema = { a: { type: 'map', schema: { y: { type: 'integer' } } } };
+    assert.equal(validate(fromJS({ a: { x: 1 } }), mapSchema, { unknownKeys: 'reject' }), true);
+    const { value } = safeValidate({ a: new Map([['x', 1]]) }, mapSchema, { unknownKeys: 'strip' });
+    assert.deepEqual([...value.a.keys()], ['x']);
+  });
+
+  it('should check the keys of Immutable maps', () => {
+    const settingsSchema = { settings: { type: 'map', validate: { allowedKeys: ['locale'] } } };
+    assert.deepEqual(
+      paths(safeValidate({ settings: ImmutableMap({ theme: 'dark' }) }, settingsSchema)),
+      [['settings', 'allowedKeys']],
+    );
+  });
+});
+
+describe('partial validation', () => {
+  const paths = ({ errors }) => errors.map(e => [e.path, e.validatorKey]);
+  const userSchema = {
+    email: { allowNull: false, validate: { isEmail: true } },
+    name: { allowNull: false, defaultValue: 'anonymous' },
+    roles: {
+      type: 'array',
+      schema: {
+        name: { allowNull: false, validate: { isIn: [['ADMIN', 'USER']] } },
+        $: { validate: { allowedKeys: ['name'] } },
+      },
+    },
+    $: { validate: { hasContact: ({ email, phone }) => !!(email || phone) } },
+  };
+
+  it('should only validate the fields present with the partial option', () => {
+    const patch = { phone: '0600000000', roles: [{ name: 'USER' }] };
+    assert.equal(validate(patch, userSchema, { partial: true }), true);
+    assert.deepEqual(paths(safeValidate({ email: null, roles: [{}] }, userSchema, {
+      partial: true,
+    })), [['email', 'required'], ['$', 'hasContact']]);
+    assert.deepEqual(paths(safeValidate({ email: 'nope' }, userSchema, { partial: true })), [
+      ['email', 'isEmail'],
+    ]);
+  });
+
+  it('should not fill the default values with the partial option', () => {
+    const { value } = safeValidate({ email: 'a@b.co' }, userSchema, { partial: true });
+    assert.deepEqual(value, { email: 'a@b.co' });
+  });
+
+  it('should validate the value at a path', () => {
+    const user = {
+      email: 'nope',
+      roles: [{ name: 'ADMIN' }, { name: 'USER' }, { name: 'ROOT' }],
+    };
+    assert.equal(validateAt(user, 'roles.1.name', userSchema), true);
+    assert.throws(() => validateAt(user, 'roles.2.name', userSchema), (e) => {
+      assert.deepEqual(paths(e), [['roles.2.name', 'isIn']]);
+      return true;
+    });
+    assert.throws(() => validateAt(user, ['roles', 2], userSchema), (e) => {
+      assert.deepEqual(paths(e), [['roles.2.name', 'isIn']]);
+      return true;
+    });
+    assert.throws(() => validateAt({}, 'email', userSchema), (e) => {
+      assert.deepEqual(paths(e), [['email', 'required']]);
+      return true;
+    });
+  });
+
+  it('should run the rules of the containing object with parentRules', () => {
+    const role = { name: 'USER', id: 1 };
+    assert.equal(validateAt({ roles: [role] }, 'roles.0.name', userSchema), true);
+    assert.throws(
+      () => validateAt({ roles: [role] }, 'roles.0.name', userSchema, { parentRules: true }),
+      (e) => {
+        assert.deepEqual(paths(e), [['roles.0', 'allowedKeys']]);
+        return true;
+      },
+    );
+  });
+
+  it('should fail on paths without a schema', () => {
+    assert.throws(
+      () => validateAt({}, 'roles.0.label', userSchema),
+      /no schema at path roles.0.label/,
+    );
+  });
+});
+
+describe('error formatting', () => {
+  const userSchema = {
+    email: { allowNull: false },
+    age: { type: 'integer' },
+    roles: {
+      type: 'array',
+      schema: {
+        name: {
+          validate: { len: [2, 5], matches: /^[A-Z]+$/, isUpper: o => o === o.toUpperCase() },
+        },
+      },
+    },
+    $: { validate: { hasContact: ({ email, phone }) => !!(email || phone) } },
+  };
+  const user = { age: 'old', roles: [{ name: 'USER' }, { name: 'admin12' }] };
+  const errorsOf = (obj, options) => {
+    try {
+      validate(obj, userSchema, options);
+    } catch (e) {
+      return e;
+    }
+    throw new Error('expected validation errors');
+  };
+
+  it('should report every failing validator with collectAll', () => {
+    assert.deepEqual(errorsOf(user).toFlatMap(), {
+      email: ['required'],
+      age: ['type'],
+      'roles.1.name': ['len'],
+      $: ['hasContact'],
+    });
+    assert.deepEqual(errorsOf(user, { collectAll: true }).toFlatMap(), {
+      email: ['required'],
+      age: ['type'],
+      'roles.1.name': ['len', 'matches', 'isUpper'],
+      $: ['hasContact'],
+    });
+  });
+
+  it('should set the type and origin of the errors', () => {
+    const errors = errorsOf(user, { collectAll: true }).errors
+      .map(({ validatorKey, type, origin }) => [validatorKey, type, origin]);
+    assert.deepEqual(errors, [
+      ['required', 'notNull violation', 'CORE'],
+      ['type', 'type violation', 'CORE'],
+      ['hasContact', 'Validation error', 'FUNCTION'],
+      ['len', 'Validation error', 'CORE'],
+      ['matches', 'Validation error', 'CORE'],
+      ['isUpper', 'Validation error', 'FUNCTION'],
+    ]);
+    assert.equal(ValidationErrorItem.Types.NOT_NULL, 'notNull violation');
+  });
+
+  it('should nest the errors like the input', () => {
+    const tree = errorsOf(user, { collectAll: true }).toTree();
+    assert.deepEqual(Object.keys(tree), ['email', 'age', '$', 'roles']);
+    assert.equal(tree.roles[1].name.$.length, 3);
+    assert.deepEqual(tree.$, ['Validation hasContact on $ failed']);
+  });
+
+  it('should format an RFC 7807 problem details body', () => {
+    const problem = errorsOf(user).toProblemDetails({ instance: '/users/1' });
+    assert.equal(problem.status, 400);
+    assert.equal(problem.type, 'about:blank');
+    assert.equal(problem.instance, '/users/1');
+    assert.deepEqual(problem['invalid-params'][0], {
+      name: 'email',
+      reason: 'email is required',
+      validator: 'required',
+    });
+  });
+
+  it('should serialize to JSON', () => {
+    const json = JSON.parse(JSON.stringify(errorsOf(user)));
+    assert.equal(json.name, 'ValidationErrors');
+    assert.deepEqual(json.errors[1], {
+      message: json.errors[1].message,
+      type: 'type violation',
+      path: 'age',
+      value: 'old',
+      origin: 'CORE',
+      severity: 'error',
+      validatorKey: 'type',
+      validatorName: 'type',
+      validatorArgs: 'integer',
+    });
+  });
+});
+
+describe('severity levels', () => {
+  const isStrong = password => /[0-9]/.test(password) && /[A-Z]/.test(password);
+  const userSchema = {
+    email: { allowNull: false, validate: { isEmail: true } },
+    password: {
+      allowNull: false,
+      validate: { isStrong, len: [8, 100], notIn: [['password1']] },
+      severity: { isStrong: 'warning' },
+    },
+    phone: { validate: { matches: '^\\+' }, severity: 'info' },
+    nickname: { type: 'string', severity: { type: 'warning' } },
+  };
+  const keysOf = errors => errors.map(({ path, validatorKey, severity }) => [
+    path,
+    validatorKey,
+    severity,
+  ]);
+
+  it('should separate the warnings from the errors', () => {
+    const { valid, errors, warnings } = safeValidate({
+      email: 'a@b.co',
+      password: 'weak',
+      phone: '0601',
+      nickname: 42,
+    }, userSchema);
+    assert.strictEqual(valid, false);
+    assert.deepEqual(keysOf(errors), [['password', 'len', 'error']]);
+    assert.deepEqual(keysOf(warnings), [
+      ['password', 'isStrong', 'warning'],
+      ['phone', 'matches', 'info'],
+      ['nickname', 'type', 'warning'],
+    ]);
+  });
+
+  it('should only throw when there are errors', () => {
+    assert(validate({ email: 'a@b.co', password: 'longbutweak' }, userSchema));
+    const result = safeValidate({ email: 'a@b.co', password: 'longbutweak' }, userSchema);
+    assert.strictEqual(result.valid, true);
+    assert.deepEqual(keysOf(result.warnings), [['password', 'isStrong', 'warning']]);
+    assert.throws(() => validate({ password: 'weak' }, userSchema), (e) => {
+      assert.deepEqual(keysOf(e.errors), [['email', 'required', 'error'], ['password', 'len', 'error']]);
+      assert.deepEqual(keysOf(e.warnings), [['password', 'isStrong', 'warning']]);
+      assert.equal(JSON.parse(JSON.stringify(e)).warnings[0].severity, 'warning');
+      return e instanceof ValidationErrors;
+    });
+  });
+
+  it('should not count the warnings in maxErrors', () => {
+    const { errors, warnings } = safeValidate(
+      { password: 'weak', phone: '0601' },
+      userSchema,
+      { abortEarly: true },
+    );
+    assert.deepEqual(keysOf(errors), [['email', 'required', 'error']]);
+    assert.deepEqual(keysOf(warnings), []);
+    const all = safeValidate({ email: 'a@b.co', password: 'weak' }, userSchema, { maxErrors: 1 });
+    assert.deepEqual(keysOf(all.warnings), [['password', 'isStrong', 'warning']]);
+  });
+
+  it('should report the warnings of asynchronous validators', () => safeValidateAsync(
+    { email: 'a@b.co', password: 'Strong password 1' },
+    {
+      ...userSchema,
+      email: {
+        validate: { isAvailable: email => Promise.resolve(email !== 'a@b.co') },
+        severity: 'warning',
+      },
+    },
+  ).then(({ valid, warnings }) => {
+    assert.strictEqual(valid, true);
+    assert.deepEqual(keysOf(warnings), [['email', 'isAvailable', 'warning']]);
+  }));
+
+  it('should let a branch with warnings match a union', () => {
+    const contactSchema = {
+      contact: {
+        anyOf: [
+          { type: 'string', validate: { isEmail: true }, severity: { isEmail: 'warning' } },
+          { type: 'integer' },
+        ],
+      },
+    };
+    const { valid, warnings } = safeValidate({ contact: 'nope' }, contactSchema);
+    assert.strictEqual(valid, true);
+    assert.deepEqual(keysOf(warnings), [['contact', 'isEmail', 'warning']]);
+  });
+
+  it('should fail for an unknown level when compiling the schema', () => {
+    assert.throws(
+      () => validate({ email: 'nope' }, { email: { validate: { isEmail: true }, severity: 'warn' } }),
+      /severity should be one of error, warning, info/,
+    );
+    assert.throws(
+      () => compile({ password: { validate: { len: [8, 100] }, severity: { len: 'low' } } }),
+      /severity should be one of error, warning, info/,
+    );
+  });
+});
@@ -0,0 +1,58 @@
+// Type definitions for validate-data-tree/lib/middleware
+
+import { Schema, ValidateOptions, ValidationErrors, ValidatorInstance } from './validate';
+
+export interface RequestSchemas {
+  params?: Schema;
+  query?: Schema;
+  headers?: Schema;
+  body?: Schema;
+}
+
+export interface RequestValidationOptions<R> extends ValidateOptions {
+  /**
+   * Replace the request parts with the validated values
+   */
+  assign?: boolean;
+  /**
+   * The status of the response to an invalid request, 400 by default
+   */
+  status?: number;
+  /**
+   * The body of the response to an invalid request, an RFC 7807 problem details one by default
+   */
+  formatError?: (errors: ValidationErrors, req: R) => unknown;
+  validator?: Pick<ValidatorInstance, 'compile'>;
+}
+
+/**
+ * The parts of an Express request used by validateRequest
+ */
+export interface ExpressRequest {
+  originalUrl: string;
+  params?: unknown;
+  query?: unknown;
+  headers?: unknown;
+  body?: unknown;
+}
+
+export function validateRequest<R extends ExpressRequest = ExpressRequest>(
+  schemas: RequestSchemas,
+  options?: RequestValidationOptions<R>,
+): (req: R, res: any, next: (err?: unknown) => void) => void;
+
+/**
+ * The parts of a Koa context used by koaValidateRequest
+ */
+export interface KoaContext {
+  originalUrl: string;
+  params?: unknown;
+  query?: unknown;
+  headers?: unknown;
+  request: { body?: unknown };
+}
+
+export function koaValidateRequest<C extends KoaContext = KoaContext>(
+  schemas: RequestSchemas,
+  options?: RequestValidationOptions<C>,
+): (ctx: C, next: () => Promise<unknown>) => Promise<unknown>;
@@ -0,0 +1,471 @@
+// Type definitions for validate-data-tree
+
+/**
+ * The built-in type names (see types.js), custom types can be added to a validator instance
+ */
+export type TypeName =
+  | 'string' | 'text' | 'uuid'
+  | 'integer' | 'bigint' | 'float' | 'double' | 'decimal'
+  | 'boolean' | 'date' | 'enum' | 'any'
+  | 'object' | 'array' | 'record' | 'map' | 'list' | 'set';
+
+/**
+ * What a custom validator, a `when` predicate and a registered validator get as last argument
+ */
+export interface ValidationContext {
+  root: unknown;
+  parent: unknown;
+  path: Array<string | number>;
+  fieldSchema: FieldSchema;
+  context: unknown;
+  options: ValidateOptions;
+}
+
+export type CustomValidator = (value: any, context: ValidationContext) =>
+  boolean | ValidationErrorItem | Promise<boolean | ValidationErrorItem>;
+
+/**
+ * `{ isEmail: true, len: [3, 50], isAdult: age => age >= 18 }`
+ */
+export interface Validators {
+  [key: string]: CustomValidator | boolean | string | number | RegExp
+    | ReadonlyArray<unknown> | { readonly [key: string]: unknown };
+}
+
+export type Severity = 'error' | 'warning' | 'info';
+
+export type Sanitizer =
+  | 'blacklist' | 'escape' | 'ltrim' | 'normalizeEmail' | 'rtrim' | 'stripLow'
+  | 'toBoolean' | 'toDate' | 'toFloat' | 'toInt' | 'trim' | 'unescape' | 'whitelist'
+  | (string & {})
+  | readonly [string, ...unknown[]]
+  | ((value: any) => unknown);
+
+export interface When {
+  path: string;
+  is?: unknown;
+  then?: FieldSchema;
+  otherwise?: FieldSchema;
+}
+
+export interface FieldSchema {
+  // a string with `& {}` keeps the completion of the built-in names
+  type?: TypeName | (string & {}) | ReadonlyArray<TypeName | (string & {})>;
+  allowNull?: boolean;
+  validate?: Validators;
+  schema?: Schema;
+  messages?: { readonly [key: string]: string };
+  defaultValue?: unknown;
+  unknownKeys?: 'allow' | 'reject' | 'strip';
+  anyOf?: ReadonlyArray<FieldSchema> | { readonly [kind: string]: FieldSchema };
+  oneOf?: ReadonlyArray<FieldSchema> | { readonly [kind: string]: FieldSchema };
+  discriminator?: string;
+  when?: When;
+  // the enum values, or the schema of the values of a record
+  values?: ReadonlyArray<unknown> | FieldSchema;
+  keys?: FieldSchema;
+  $ref?: string;
+  // applied in order before the validators: sanitizer names, [name, ...args] lists or functions
+  sanitize?: Sanitizer | ReadonlyArray<Sanitizer>;
+  // the severity of the errors of the field, or per validator key (including 'required' and 'type')
+  severity?: Severity | { readonly [key: string]: Severity };
+}
+
+/**
+ * A (non flat) schema: `$` is the schema of the value itself, the other keys the ones of its fields
+ */
+export interface Schema {
+  readonly [field: string]: FieldSchema;
+}
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+/**
+ * An Immutable List or an ES / Immutable Set (without requiring the es2015 lib for `Iterable`)
+ */
+export interface Collection<T> {
+  readonly size: number;
+  forEach(sideEffect: (value: T) => unknown): unknown;
+}
+
+/**
+ * The value of a field which isn't null (or undefined)
+ */
+type InferTypeName<F, T> =
+  T extends 'string' | 'text' | 'uuid' ? string
+    : T extends 'integer' | 'float' | 'double' | 'decimal' ? number
+      : T extends 'bigint' ? number | bigint
+        : T extends 'boolean' ? boolean
+          : T extends 'date' ? Date
+            : T extends 'enum' ? (F extends { values: ReadonlyArray<infer V> } ? V : unknown)
+              : T extends 'object' ? (F extends { schema: infer S } ? InferSchema<S> : object)
+                : T extends 'array' ? (F extends { schema: infer S } ? Array<InferElement<S>> : unknown[])
+                  : T extends 'list' | 'set' ? (F extends { schema: infer S } ? Collection<InferElement<S>> : Collection<unknown>)
+                    : T extends 'record' ? { [key: string]: F extends { values: infer V } ? InferField<V> : unknown }
+                      : T extends 'map' ? object
+                        : unknown;
+
+type InferBranches<B> =
+  B extends ReadonlyArray<infer F> ? InferValue<F>
+    : B extends { readonly [kind: string]: unknown } ? InferValue<B[keyof B]>
+      : never;
+
+type InferValue<F> =
+  F extends { type: ReadonlyArray<infer T> } ? InferTypeName<F, T>
+    : F extends { type: infer T } ? InferTypeName<F, T>
+      : F extends { anyOf: infer B } ? InferBranches<B>
+        : F extends { oneOf: infer B } ? InferBranches<B>
+          : unknown;
+
+/**
+ * The value of a field, null unless `allowNull: false`
+ */
+type InferField<F> = F extends { allowNull: false } ? InferValue<F> : InferValue<F> | null;
+
+/**
+ * The fields of a schema, the keys like "settings.locale" refining nested schemas being ignored
+ */
+type FieldKeys<S> = Exclude<Extract<keyof S, string>, '$' | `${string}.${string}`>;
+
+type RequiredKeys<S> = { [K in FieldKeys<S>]: S[K] extends { allowNull: false } ? K : never }[FieldKeys<S>];
+
+type InferSchema<S> = [FieldKeys<S>] extends [never]
+  ? (S extends { $: infer F } ? InferValue<F> : unknown)
+  : Simplify<
+    { [K in RequiredKeys<S>]: InferValue<S[K]> }
+    & { [K in Exclude<FieldKeys<S>, RequiredKeys<S>>]?: InferValue<S[K]> | null }
+  >;
+
+/**
+ * An element of an array: an object of the fields of its schema, or its `$` value
+ */
+type InferElement<S> = [FieldKeys<S>] extends [never]
+  ? (S extends { $: infer F } ? InferField<F> : unknown)
+  : InferSchema<S>;
+
+/**
+ * The type of a value valid against a schema:
+ * `InferType<typeof schema>` (declare the schema `as const` so that its types aren't widened)
+ */
+export type InferType<S extends Schema> = InferSchema<S>;
+
+type BranchesNormalize<B> =
+  B extends ReadonlyArray<infer F> ? FieldNormalizes<F>
+    : B extends { readonly [kind: string]: unknown } ? FieldNormalizes<B[keyof B]>
+      : false;
+
+/**
+ * Whether a field schema, or one nested in it, fills default values or sanitizes
+ * (true for a widened schema which may do it)
+ */
+type FieldNormalizes<F> =
+  | ([Extract<keyof F, 'defaultValue' | 'sanitize'>] extends [never] ? false : true)
+  | (F extends { schema: infer S } ? SchemaNormalizes<S> : false)
+  | (F extends { values: infer V } ? (V extends ReadonlyArray<unknown> ? false : FieldNormalizes<V>) : false)
+  | (F extends { anyOf: infer B } ? BranchesNormalize<B> : false)
+  | (F extends { oneOf: infer B } ? BranchesNormalize<B> : false);
+
+type SchemaNormalizes<S> = { [K in keyof S]: FieldNormalizes<S[K]> }[keyof S];
+
+/**
+ * The type validate narrows the input to: none when the schema normalizes it,
+ * the input then differing from the value (see safeValidate)
+ */
+type ValidInput<S extends Schema> = true extends SchemaNormalizes<S> ? unknown : InferType<S>;
+
+/**
+ * The options under which the input is the validated value (coerce isn't on)
+ */
+type GuardOptions = ValidateOptions & { coerce?: false };
+
+export class ValidationErrorItem extends Error {
+  constructor(
+    message: string,
+    type?: string | null,
+    path?: string | null,
+    value?: unknown,
+    inst?: unknown,
+    validatorKey?: string | null,
+    fnName?: string | null,
+    fnArgs?: unknown,
+    origin?: string | null,
+    severity?: Severity | null,
+  );
+
+  message: string;
+  type: string | null;
+  path: string | null;
+  value: unknown;
+  origin: string | null;
+  severity: Severity;
+  instance: unknown;
+  validatorKey: string | null;
+  validatorName: string | null;
+  validatorArgs: unknown;
+  branchErrors?: ValidationErrorItem[][];
+
+  toJSON(): ValidationErrorItemJSON;
+
+  static Types: {
+    NOT_NULL: 'notNull violation';
+    TYPE: 'type violation';
+    UNKNOWN_KEY: 'unknownKey violation';
+    VALIDATION: 'Validation error';
+  };
+
+  static Origins: {
+    CORE: 'CORE';
+    FUNCTION: 'FUNCTION';
+  };
+
+  static Severities: {
+    ERROR: 'error';
+    WARNING: 'warning';
+    INFO: 'info';
+  };
+}
+
+export interface ValidationErrorItemJSON {
+  message: string;
+  type: string | null;
+  path: string | null;
+  value: unknown;
+  origin: string | null;
+  severity: Severity;
+  validatorKey: string | null;
+  validatorName: string | null;
+  validatorArgs: unknown;
+  branchErrors?: ValidationErrorItemJSON[][];
+}
+
+export interface ErrorTree {
+  $?: string[];
+  [key: string]: ErrorTree | string[] | undefined;
+}
+
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  'invalid-params': Array<{ name: string | null; reason: string; validator: string | null }>;
+  [member: string]: unknown;
+}
+
+export class ValidationErrors extends Error {
+  constructor(errors: ValidationErrorItem[], warnings?: ValidationErrorItem[]);
+
+  errors: ValidationErrorItem[];
+
+  // the warnings and infos found along the errors
+  warnings: ValidationErrorItem[];
+
+  toFlatMap(): { [path: string]: Array<string | null> };
+
+  toTree(): ErrorTree;
+
+  toProblemDetails(members?: { [member: string]: unknown }): ProblemDetails;
+
+  toJSON(): { name: string; errors: ValidationErrorItemJSON[]; warnings?: ValidationErrorItemJSON[] };
+}
+
+export interface SchemaError {
+  path: string;
+  keyword: string;
+  message: string;
+  /** a likely mistake which doesn't make the schema invalid */
+  hint?: true;
+}
+
+export class SchemaErrors extends Error {
+  constructor(errors: SchemaError[]);
+
+  errors: SchemaError[];
+}
+
+export interface ValidateOptions {
+  prefix?: Array<string | number>;
+  locale?: 'en' | 'fr';
+  messages?: { readonly [key: string]: string };
+  abortEarly?: boolean;
+  maxErrors?: number;
+  concurrency?: number;
+  coerce?: boolean;
+  unknownKeys?: 'allow' | 'reject' | 'strip';
+  context?: unknown;
+  dev?: boolean;
+  definitions?: { readonly [name: string]: FieldSchema };
+  partial?: boolean;
+  collectAll?: boolean;
+}
+
+export interface ValidateAtOptions extends ValidateOptions {
+  parentRules?: boolean;
+}
+
+export type SafeValidateResult<T> =
+  | { valid: true; errors: []; warnings: ValidationErrorItem[]; value: T }
+  | { valid: false; errors: ValidationErrorItem[]; warnings: ValidationErrorItem[]; value: unknown };
+
+/**
+ * A compiled schema, a type guard of the input for `G` (see ValidInput),
+ * `T` being the type of the validated value
+ */
+export interface CompiledValidator<T, G = unknown> {
+  (obj: unknown, options?: GuardOptions | Array<string | number>): obj is G;
+  (obj: unknown, options?: ValidateOptions | Array<string | number>): true;
+  safeValidate(obj: unknown, options?: ValidateOptions | Array<string | number>): SafeValidateResult<T>;
+  validateAsync(obj: unknown, options?: ValidateOptions | Array<string | number>): Promise<true>;
+  safeValidateAsync(
+    obj: unknown,
+    options?: ValidateOptions | Array<string | number>,
+  ): Promise<SafeValidateResult<T>>;
+}
+
+export interface TypeDefinition {
+  check(value: unknown, fieldSchema: FieldSchema): boolean;
+  coerce?(value: unknown): unknown;
+  validate?: Validators;
+  key?: string;
+  args?(fieldSchema: FieldSchema): unknown;
+}
+
+export interface ValidatorInstance {
+  checkSchema(schema: Schema, options?: { definitions?: { readonly [name: string]: FieldSchema } }): SchemaError[];
+  compile<S extends Schema>(schema: S, options?: GuardOptions): CompiledValidator<InferType<S>, ValidInput<S>>;
+  compile<S extends Schema>(schema: S, options?: ValidateOptions): CompiledValidator<InferType<S>>;
+  /**
+   * Returns true or throws ValidationErrors, a type guard of the input
+   * unless the schema or the coerce option normalizes it (see ValidInput)
+   */
+  validate<S extends Schema>(obj: unknown, schema: S, options?: GuardOptions): obj is ValidInput<S>;
+  validate<S extends Schema>(obj: unknown, schema: S, options?: ValidateOptions): true;
+  safeValidate<S extends Schema>(obj: unknown, schema: S, options?: ValidateOptions): SafeValidateResult<InferType<S>>;
+  validateAsync<S extends Schema>(obj: unknown, schema: S, options?: ValidateOptions): Promise<true>;
+  safeValidateAsync<S extends Schema>(
+    obj: unknown,
+    schema: S,
+    options?: ValidateOptions,
+  ): Promise<SafeValidateResult<InferType<S>>>;
+  validateAt(
+    obj: unknown,
+    path: string | Array<string | number>,
+    schema: Schema,
+    options?: ValidateAtOptions,
+  ): true;
+}
+
+export function createValidator(options?: {
+  validators?: { [name: string]: (value: any, ...args: any[]) => boolean | Promise<boolean> };
+  types?: { [name: string]: TypeDefinition | TypeDefinition['check'] };
+  sanitizers?: { [name: string]: (value: any, ...args: any[]) => unknown };
+  messages?: { [key: string]: string };
+}): ValidatorInstance;
+
+export const checkSchema: ValidatorInstance['checkSchema'];
+export const compile: ValidatorInstance['compile'];
+export const validate: ValidatorInstance['validate'];
+export const safeValidate: ValidatorInstance['safeValidate'];
+export const validateAsync: ValidatorInstance['validateAsync'];
+export const safeValidateAsync: ValidatorInstance['safeValidateAsync'];
+export const validateAt: ValidatorInstance['validateAt'];
+
+export function allowedKeys(o: unknown, ...keys: string[]): boolean;
+
+export function mapKeyToPath(key: string): Array<string | []>;
+
+export function mapPathToKey(path: ReadonlyArray<string | number | []>, removeArrays?: boolean): string;
+
+export interface SchemaWarning {
+  path: string;
+  validator?: string;
+  keyword?: string;
+  message: string;
+}
+
+export function toJsonSchema(
+  schema: Schema,
+  options?: { definitions?: { readonly [name: string]: FieldSchema } },
+): { jsonSchema: object; warnings: SchemaWarning[] };
+
+export function fromJsonSchema(jsonSchema: object): {
+  schema: Schema;
+  definitions: { [name: string]: FieldSchema };
+  warnings: SchemaWarning[];
+};
+
+/**
+ * The TypeScript declaration of the values valid against a schema (a `.d.ts` content),
+ * for the schemas built at runtime which InferType can't type
+ */
+export function generateTypes(schema: Schema, options?: {
+  name?: string;
+  definitions?: { readonly [name: string]: FieldSchema };
+}): string;
+
+type WithAllowNull<F, A extends boolean> = Simplify<Omit<F, 'allowNull'> & { allowNull: A }>;
+
+type PartialSchema<S> = { [K in keyof S]: K extends '$' ? S[K] : WithAllowNull<S[K], true> };
+
+type RequiredSchema<S> = { [K in keyof S]: K extends '$' ? S[K] : WithAllowNull<S[K], false> };
+
+type DeepPartialSchema<S> = {
+  [K in keyof S]: K extends '$' ? S[K]
+    : S[K] extends { schema: infer N }
+      ? Simplify<Omit<S[K], 'allowNull' | 'schema'> & { allowNull: true; schema: DeepPartialSchema<N> }>
+      : WithAllowNull<S[K], true>;
+};
+
+/**
+ * The schema with the fields given added or replaced, their keys being paths like "settings.theme"
+ */
+export function extend<S extends Schema, E extends Schema>(schema: S, fields: E): Simplify<Omit<S, keyof E> & E>;
+
+/**
+ * The schema with only the fields at the given paths (and the `$` ones)
+ */
+export function pick<S extends Schema, K extends FieldKeys<S>>(
+  schema: S,
+  paths: ReadonlyArray<K>,
+): Simplify<Pick<S, K | Extract<keyof S, '$'>>>;
+export function pick(schema: Schema, paths: ReadonlyArray<string>): Schema;
+
+/**
+ * The schema without the fields at the given paths
+ */
+export function omit<S extends Schema, K extends FieldKeys<S>>(
+  schema: S,
+  paths: ReadonlyArray<K>,
+): Simplify<Omit<S, K>>;
+export function omit(schema: Schema, paths: ReadonlyArray<string>): Schema;
+
+/**
+ * The schema with its fields (or the ones at the given paths) nullable and optional
+ */
+export function partial<S extends Schema>(schema: S): PartialSchema<S>;
+export function partial(schema: Schema, paths: ReadonlyArray<string>): Schema;
+
+/**
+ * The schema with its fields (or the ones at the given paths) required
+ */
+export function required<S extends Schema>(schema: S): RequiredSchema<S>;
+export function required(schema: Schema, paths: ReadonlyArray<string>): Schema;
+
+/**
+ * The schema with all its fields optional, the ones of the nested schemas too
+ */
+export function deepPartial<S extends Schema>(schema: S): DeepPartialSchema<S>;
+
+/**
+ * Deeply merge schemas, the last ones taking precedence
+ */
+export function merge(...schemas: Schema[]): Schema;
+
+/**
+ * The validator.js object (extended with the validators of this library)
+ */
+export const validator: {
+  extend(name: string, fn: (str: string, ...args: any[]) => boolean): void;
+  [name: string]: any;
+};